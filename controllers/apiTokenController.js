@@ -0,0 +1,58 @@
+const ApiToken = require('../models/apiTokenModel');
+const AppError = require('../utils/classes/AppError');
+const { API_TOKEN_PREFIX } = require('../utils/globals');
+const { catchAsync, createLinkToken } = require('../utils/utils');
+
+exports.getMyTokens = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+  } = req;
+
+  const apiTokens = await ApiToken.find({ user: id })
+    .select('-__v')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({ status: 'success', data: { apiTokens } });
+});
+
+exports.createToken = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+    body: { name, scopes, expiresAt },
+  } = req;
+
+  // Only the hash of the token is stored, the token itself is shown once
+  const [token, hashedToken] = createLinkToken();
+
+  const newToken = await ApiToken.create({
+    user: id,
+    name,
+    token: hashedToken,
+    scopes,
+    expiresAt,
+  });
+
+  const apiToken = await ApiToken.findById(newToken._id).select('-__v');
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Copy your token now: it will not be shown again.',
+    data: { token: `${API_TOKEN_PREFIX}${token}`, apiToken },
+  });
+});
+
+exports.revokeToken = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    params: { tokenId },
+  } = req;
+
+  const apiToken = await ApiToken.findOneAndDelete({ _id: tokenId, user: id });
+
+  if (!apiToken) {
+    next(new AppError('No API token found with that ID.', 404));
+    return;
+  }
+
+  res.status(204).json({ status: 'success' });
+});
@@ -0,0 +1,4 @@
+const AuditLog = require('../models/auditLogModel');
+const { getAll } = require('./handlers/handlerFactory');
+
+exports.getAllAuditLogs = getAll(AuditLog);
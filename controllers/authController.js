@@ -1,20 +1,258 @@
 const crypto = require('crypto');
 const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
+const { isEmail } = require('validator');
+const { rateLimit } = require('express-rate-limit');
 const User = require('../models/userModel');
 const AppError = require('../utils/classes/AppError');
 const Email = require('../utils/classes/Email');
 const {
   API_ROUTE,
-  TIMEOUTS,
   PASSWORD_VALIDATOR,
   FRONT_END_URL,
+  TWO_FACTOR_TOKEN_EXPIRES_IN,
+  CONFIRMATION_RESEND_LIMIT,
+  CONFIRMATION_RESEND_WINDOW,
+  PASSWORD_CHECK_LIMIT,
+  PASSWORD_CHECK_WINDOW,
+  API_TOKEN_PREFIX,
+  MAGIC_LINK_EXPIRES_IN,
+  PASSWORD_HISTORY_LENGTH,
+  UPDATABLE_USER_FIELDS,
+  IMPERSONATION_ALLOWED_WRITES,
+  LOGIN_LOCK_DURATION,
 } = require('../utils/globals');
-const { catchAsync, createSendToken } = require('../utils/utils');
+const {
+  catchAsync,
+  createSendToken,
+  createLinkToken,
+  sendTokens,
+  describeDevice,
+  getDateAndTime,
+  getRequestToken,
+  getCookieOptions,
+} = require('../utils/utils');
+const { scheduleJob, cancelJobs } = require('../utils/services/jobs');
+const { enrollStudent, hasFreeSeat } = require('../utils/services/supervision');
+const {
+  getPrivacyAudience,
+  isAllowedBy,
+} = require('../utils/services/privacy');
+const { getUserRoom } = require('../utils/services/socketRelay');
 const Message = require('../models/messageModel');
-const Event = require('../models/eventModel');
-const Task = require('../models/taskModel');
-const TeachingDemand = require('../models/teachingDemandModel');
+const Session = require('../models/sessionModel');
+const Role = require('../models/roleModel');
+const LoginFailure = require('../models/loginFailureModel');
+const ApiToken = require('../models/apiTokenModel');
+const MagicLink = require('../models/magicLinkModel');
+const ImpersonationLog = require('../models/impersonationLogModel');
+const AuditLog = require('../models/auditLogModel');
+const RevokedToken = require('../models/revokedTokenModel');
+const EnrollmentCode = require('../models/enrollmentCodeModel');
+
+const registerLoginFailure = async (user, req) => {
+  const {
+    body: { email, username },
+  } = req;
+
+  await LoginFailure.register(req.ip, email || username);
+
+  if (!user) {
+    await AuditLog.record('loginFailed', {
+      req,
+      details: { identifier: email || username },
+    });
+    return;
+  }
+
+  const lockUntil = await User.registerFailedLogin(user._id);
+
+  await AuditLog.record('loginFailed', { user: user._id, req });
+
+  if (!lockUntil) return;
+
+  await AuditLog.record('accountLocked', {
+    user: user._id,
+    req,
+    details: { lockUntil },
+  });
+
+  try {
+    const url = `${FRONT_END_URL}/forgot-password`;
+
+    await new Email(user, url).sendAccountLocked({
+      duration: LOGIN_LOCK_DURATION / (60 * 1000),
+    });
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+const checkAccountLock = (user, next) => {
+  if (user.isLocked()) {
+    next(
+      new AppError(
+        'Your account is temporarily locked due to too many failed login attempts. Please try again later or reset your password.',
+        423
+      )
+    );
+    return false;
+  }
+
+  return true;
+};
+
+const checkLoginRestrictions = (user, next) => {
+  if (!checkAccountLock(user, next)) return false;
+
+  const delay = user.getLoginDelay();
+
+  if (delay > 0) {
+    next(
+      new AppError(
+        `Too many failed login attempts. Please try again in ${Math.ceil(
+          delay / 1000
+        )} seconds.`,
+        429
+      )
+    );
+    return false;
+  }
+
+  return true;
+};
+
+const sendNewDeviceAlert = async (user, req) => {
+  const alertToken = user.createLoginAlertToken();
+  const [date, time] = getDateAndTime(new Date().toISOString());
+
+  try {
+    await new Email(
+      user,
+      `${FRONT_END_URL}/not-me/${alertToken}`
+    ).sendNewDeviceLogin({
+      time: `${date} ${time}`,
+      device: describeDevice(req.get('User-Agent')),
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+const completeLogin = async (user, req, res) => {
+  user.resetLoginAttempts();
+  if (user.registerDevice(req.get('User-Agent'), req.ip))
+    await sendNewDeviceAlert(user, req);
+
+  let message = '';
+  if (user.isDeleted) {
+    user.isDeleted = false;
+    user.deletedAt = undefined;
+    await cancelJobs(user._id, 'permanentDeleteUser');
+    await AuditLog.record('accountReactivated', { user: user._id, req });
+    message = 'Happy to see you back';
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record('login', { user: user._id, req });
+
+  // If everything is ok, send token to client
+  await createSendToken(user, 200, req, res, message);
+};
+
+const sendTwoFactorChallenge = (user, res) => {
+  const twoFactorToken = jwt.sign(
+    { id: user._id, purpose: 'twoFactor' },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN / 1000 }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Please provide the code of your authenticator application.',
+    twoFactorRequired: true,
+    twoFactorToken,
+  });
+};
+
+const PASSWORD_REUSED_MESSAGE = `The password must be different from your last ${PASSWORD_HISTORY_LENGTH} passwords.`;
+
+// Same format as the validation errors, so that the error is shown on the password field
+const createPasswordReusedError = () => {
+  const appError = new AppError('Invalid input data.', 400);
+  appError.fields = [{ password: PASSWORD_REUSED_MESSAGE }];
+  return appError;
+};
+
+// The password history can only be checked if we know whose password is changing
+const findPasswordOwner = async req => {
+  const {
+    body: { resetToken },
+  } = req;
+
+  if (resetToken) {
+    const passwordResetToken = crypto
+      .createHash('sha256')
+      .update(resetToken)
+      .digest('hex');
+
+    return await User.findOne({
+      passwordResetToken,
+      passwordResetExpires: { $gt: Date.now() },
+    }).select('+password +passwordHistory');
+  }
+
+  // Set by protect, which checked the session and the revocation of the token
+  if (!req.user || req.impersonator || req.apiToken) return null;
+
+  return await User.findById(req.user.id).select('+password +passwordHistory');
+};
+
+// Comparing the password with the history would otherwise allow to guess it
+exports.limitPasswordCheck = rateLimit({
+  max: PASSWORD_CHECK_LIMIT,
+  windowMs: PASSWORD_CHECK_WINDOW,
+  message: (_, res) =>
+    res.json({
+      status: 'fail',
+      message:
+        'Too many password checks from this IP, please try again in 15 minutes!',
+    }),
+});
+
+// The logged users are identified with all the checks of protect, an expired or revoked token being ignored as for an anonymous user
+const identifyUser = (req, res, next) => {
+  if (!getRequestToken(req)) {
+    next();
+    return;
+  }
+
+  exports.protect(req, res, err => {
+    if (
+      err &&
+      ([401, 403].includes(err.statusCode) ||
+        ['JsonWebTokenError', 'TokenExpiredError'].includes(err.name))
+    ) {
+      req.user = undefined;
+      next();
+      return;
+    }
+
+    next(err);
+  });
+};
+
+// The anonymous users can still check their password
+exports.protectPasswordCheck = (req, res, next) => {
+  if (req.body.resetToken) {
+    next();
+    return;
+  }
+
+  identifyUser(req, res, next);
+};
 
 exports.signup = catchAsync(async (req, res, next) => {
   const {
@@ -26,6 +264,7 @@ exports.signup = catchAsync(async (req, res, next) => {
       role,
       password,
       passwordConfirm,
+      enrollmentCode: code,
     },
   } = req;
 
@@ -36,109 +275,64 @@ exports.signup = catchAsync(async (req, res, next) => {
     return;
   }
 
-  const newUser = await User.create({
-    username,
-    email,
-    firstname,
-    lastname,
-    role: role ? role : 'student',
-    password,
-    passwordConfirm,
-  });
-
-  const confirmToken = newUser.createConfirmToken();
-
-  await newUser.save({ validateBeforeSave: false });
-
-  try {
-    const url = `${FRONT_END_URL}/confirm/${confirmToken}`;
-
-    await new Email(newUser, url).sendWelcome();
-
-    const confirmTimeout = setTimeout(async () => {
-      const id = newUser._id.valueOf();
-      console.log(`Delete user ${id} : Confirmation time expired.`);
-      await Message.deleteMany({ $or: [{ sender: id }, { receiver: id }] });
-      await Event.deleteMany({ organizer: id });
-
-      const participatingEvents = await Event.find({
-        $or: [{ guests: id }, { attendees: id }],
-      });
-
-      await Promise.all(
-        participatingEvents.map(
-          event =>
-            async function () {
-              const { _id: eventId, attendees, guests } = event;
-              const newAttendees = attendees.reduce((acc, attendee) => {
-                if (attendee.valueOf() !== id) acc.push(attendee.valueOf());
-                return acc;
-              }, []);
-              const newGuests = guests.reduce((acc, guest) => {
-                if (guest.valueOf() !== id) acc.push(guest.valueOf());
-                return acc;
-              }, []);
-
-              await Event.findByIdAndUpdate(eventId, {
-                attendees: newAttendees,
-                guests: newGuests,
-              });
-            }
-        )
-      );
-
-      await Task.deleteMany({ performer: id });
+  let enrollmentCode;
+  if (code) {
+    if (role && role !== 'student') {
+      next(new AppError('Only students can use an enrollment code.', 400));
+      return;
+    }
 
-      const validatedTasks = await Task.find({ validator: id });
+    enrollmentCode = await EnrollmentCode.redeem(code);
 
-      await Promise.all(
-        validatedTasks.map(
-          task =>
-            async function () {
-              task.validator = undefined;
-              await task.save();
-            }
-        )
-      );
+    if (!enrollmentCode) {
+      next(new AppError('Invalid or expired enrollment code.', 400));
+      return;
+    }
 
-      await TeachingDemand.deleteMany({
-        $or: [{ sender: id }, { receiver: id }],
-      });
+    if (!(await hasFreeSeat(enrollmentCode.teacher))) {
+      await EnrollmentCode.release(enrollmentCode);
+      next(new AppError('This teacher has no free place anymore.', 400));
+      return;
+    }
+  }
 
-      const supervisedStudents = await User.find({ supervisor: id });
+  let newUser;
+  try {
+    newUser = await User.create({
+      username,
+      email,
+      firstname,
+      lastname,
+      role: role ? role : 'student',
+      password,
+      passwordConfirm,
+    });
+  } catch (err) {
+    // The code wasn't used if the registration failed
+    if (enrollmentCode) await EnrollmentCode.release(enrollmentCode);
+    throw err;
+  }
 
-      await Promise.all(
-        supervisedStudents.map(
-          student =>
-            async function () {
-              student.supervisor = undefined;
-              await student.save();
-            }
-        )
-      );
+  if (enrollmentCode)
+    await enrollStudent(
+      newUser._id.valueOf(),
+      enrollmentCode.teacher.valueOf()
+    );
 
-      const contacts = await User.find({ contacts: id });
+  const confirmToken = newUser.createConfirmToken();
 
-      await Promise.all(
-        contacts.map(
-          contact =>
-            async function () {
-              contact.contacts = contact.contacts.reduce((acc, contact) => {
-                if (contact.valueOf() !== id) acc.push(contact.valueOf());
-                return acc;
-              }, []);
+  await newUser.save({ validateBeforeSave: false });
 
-              await contact.save();
-            }
-        )
-      );
+  await scheduleJob(
+    'purgeUnconfirmedUser',
+    newUser._id,
+    newUser.confirmationExpires
+  );
 
-      await User.findByIdAndDelete(id);
-      TIMEOUTS[id] = undefined;
-      await new Email(newUser, '').sendConfirmationDelete();
-    }, 10 * 24 * 60 * 60 * 1000);
+  try {
+    const url = `${FRONT_END_URL}/confirm/${confirmToken}`;
 
-    TIMEOUTS[newUser._id.valueOf()] = confirmTimeout;
+    await new Email(newUser, url).sendWelcome();
 
     res.status(201).json({
       status: 'success',
@@ -177,12 +371,7 @@ exports.confirmRegistration = catchAsync(async (req, res, next) => {
     next(new AppError('Invalid link !', 404));
     return;
   }
-  const timeout = TIMEOUTS[user._id.valueOf()];
-
-  if (timeout) {
-    clearTimeout(timeout);
-    TIMEOUTS[user._id.valueOf()] = undefined;
-  }
+  await cancelJobs(user._id, 'purgeUnconfirmedUser');
 
   user.isConfirmed = true;
   user.confirmationToken = undefined;
@@ -190,18 +379,116 @@ exports.confirmRegistration = catchAsync(async (req, res, next) => {
 
   await user.save({ validateBeforeSave: false });
 
-  createSendToken(user, 200, req, res);
+  await createSendToken(user, 200, req, res);
+});
+
+exports.getConfirmationStatus = catchAsync(async (req, res, next) => {
+  const {
+    query: { email },
+  } = req;
+
+  if (!email) {
+    next(new AppError('Please provide an e-mail address.', 400));
+    return;
+  }
+
+  const user = await User.findOne({
+    email: `${email}`.trim().toLowerCase(),
+    isConfirmed: false,
+  }).select('+confirmationExpires');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      pending: !user ? false : true,
+      confirmationExpires: user?.confirmationExpires,
+    },
+  });
+});
+
+// Limit the number of e-mails that can be requested for the same address
+const limitPerAddress = message =>
+  rateLimit({
+    max: CONFIRMATION_RESEND_LIMIT,
+    windowMs: CONFIRMATION_RESEND_WINDOW,
+    keyGenerator: req => `${req.body.email}`.trim().toLowerCase(),
+    message: (_, res) => res.json({ status: 'fail', message }),
+  });
+
+exports.limitConfirmationResend = limitPerAddress(
+  'Too many confirmation e-mails requested for this address, please try again in an hour!'
+);
+
+exports.limitMagicLink = limitPerAddress(
+  'Too many login links requested for this address, please try again in an hour!'
+);
+
+exports.resendConfirmation = catchAsync(async (req, res, next) => {
+  const {
+    body: { email },
+  } = req;
+
+  if (!email) {
+    next(new AppError('Please provide an e-mail address.', 400));
+    return;
+  }
+
+  const user = await User.findOne({
+    email: `${email}`.trim().toLowerCase(),
+    isConfirmed: false,
+  });
+
+  if (!user) {
+    next(
+      new AppError('No pending account found with that e-mail address.', 404)
+    );
+    return;
+  }
+
+  const confirmToken = user.createConfirmToken();
+
+  await user.save({ validateBeforeSave: false });
+
+  // The account is kept until the new confirmation link expires
+  await scheduleJob('purgeUnconfirmedUser', user._id, user.confirmationExpires);
+
+  try {
+    const url = `${FRONT_END_URL}/confirm/${confirmToken}`;
+
+    await new Email(user, url).sendWelcome();
+
+    res.status(200).json({
+      status: 'success',
+      message:
+        'Confirmation link sent.\nPlease confirm your e-mail address by accessing the link we sent in your inbox before 10 days.',
+    });
+  } catch (err) {
+    next(
+      new AppError(
+        'There was an error sending the confirmation email. Please contact us at admin@learn-at-home.com!',
+        500
+      )
+    );
+  }
 });
 
 exports.checkPassword = catchAsync(async (req, res) => {
   const {
     body: { password },
   } = req;
-  PASSWORD_VALIDATOR;
   const validationValues = PASSWORD_VALIDATOR.validate(password, {
     details: true,
   });
 
+  const user = password ? await findPasswordOwner(req) : null;
+
+  if (user && (await user.isPasswordReused(password)))
+    validationValues.push({
+      validation: 'history',
+      arguments: PASSWORD_HISTORY_LENGTH,
+      message: PASSWORD_REUSED_MESSAGE,
+    });
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -225,169 +512,901 @@ exports.login = catchAsync(async (req, res, next) => {
 
   delete reqObject[!email ? 'email' : 'username'];
 
+  if (await LoginFailure.isBlocked(req.ip, email || username)) {
+    next(
+      new AppError(
+        'Too many failed login attempts from this IP, please try again in an hour!',
+        429
+      )
+    );
+    return;
+  }
+
   // Check if the user exists && password is correct
   const user = await User.findOne(reqObject, null, {
     disableMiddlewares: true,
-  }).select('+password +isConfirmed +isDeleted');
+  }).select(
+    '+password +isConfirmed +isDeleted +twoFactorEnabled +failedLoginAttempts +lastFailedLogin +lockUntil +knownUserAgents +knownIps +loginAlerts'
+  );
+
+  if (user && !checkLoginRestrictions(user, next)) return;
+
+  if (!user || !(await user.correctPassword(password, user.password))) {
+    await registerLoginFailure(user, req);
+    next(new AppError('Incorrect credentials.', 401));
+    return;
+  }
+
+  if (!user.isConfirmed) {
+    next(
+      new AppError(
+        'Please confirm your e-mail address (link sent by e-mail).',
+        403
+      )
+    );
+    return;
+  }
+
+  // Ask for the second authentication factor before logging in
+  if (user.twoFactorEnabled) {
+    sendTwoFactorChallenge(user, res);
+    return;
+  }
+
+  await completeLogin(user, req, res);
+});
+
+exports.requestMagicLink = catchAsync(async (req, res, next) => {
+  const {
+    body: { email },
+  } = req;
+
+  if (!email) {
+    next(new AppError('Please provide your e-mail address.', 400));
+    return;
+  }
+
+  const message = 'Login link sent to email!';
+
+  const user = await User.findOne({ email }).select('+isConfirmed');
+
+  // The response doesn't reveal if the account exists or can use login links
+  if (
+    !user ||
+    !user.isConfirmed ||
+    !(await Role.getPolicy(user.role)).magicLinkEnabled
+  ) {
+    res.status(200).json({ status: 'success', message });
+    return;
+  }
+
+  const [magicToken, hashedMagicToken] = createLinkToken();
+
+  const magicLink = await MagicLink.create({
+    user: user._id,
+    token: hashedMagicToken,
+    expiresAt: Date.now() + MAGIC_LINK_EXPIRES_IN,
+    requestIp: req.ip,
+    requestUserAgent: req.get('User-Agent'),
+  });
+
+  try {
+    const url = `${FRONT_END_URL}/magic-link/${magicToken}`;
+
+    await new Email(user, url).sendMagicLink();
+
+    res.status(200).json({ status: 'success', message });
+  } catch (err) {
+    await MagicLink.findByIdAndDelete(magicLink._id);
+    next(
+      new AppError('There was an error sending the email. Try Again !', 500)
+    );
+  }
+});
+
+exports.loginMagicLink = catchAsync(async (req, res, next) => {
+  const {
+    params: { magicToken },
+  } = req;
+
+  if (await LoginFailure.isBlocked(req.ip)) {
+    next(
+      new AppError(
+        'Too many failed login attempts from this IP, please try again in an hour!',
+        429
+      )
+    );
+    return;
+  }
+
+  const hashedMagicToken = crypto
+    .createHash('sha256')
+    .update(magicToken)
+    .digest('hex');
+
+  const magicLink = await MagicLink.consume(hashedMagicToken, req);
+
+  if (!magicLink) {
+    await LoginFailure.register(req.ip);
+    next(new AppError('Invalid or expired login link.', 401));
+    return;
+  }
+
+  const user = await User.findById(magicLink.user, null, {
+    disableMiddlewares: true,
+  }).select(
+    '+isConfirmed +isDeleted +twoFactorEnabled +failedLoginAttempts +lastFailedLogin +lockUntil +knownUserAgents +knownIps +loginAlerts'
+  );
+
+  if (!user || !user.isConfirmed) {
+    next(new AppError('Invalid or expired login link.', 401));
+    return;
+  }
+
+  // The policy may have changed since the link was sent
+  if (!(await Role.getPolicy(user.role)).magicLinkEnabled) {
+    next(new AppError('Login links are disabled for your role.', 403));
+    return;
+  }
+
+  if (!checkLoginRestrictions(user, next)) return;
+
+  if (user.twoFactorEnabled) {
+    sendTwoFactorChallenge(user, res);
+    return;
+  }
+
+  await completeLogin(user, req, res);
+});
+
+exports.loginTwoFactor = catchAsync(async (req, res, next) => {
+  const {
+    body: { twoFactorToken, code, recoveryCode },
+  } = req;
+
+  if (!twoFactorToken || (!code && !recoveryCode)) {
+    next(
+      new AppError(
+        'Please provide your login token and your authentication code.',
+        400
+      )
+    );
+    return;
+  }
+
+  const decoded = await promisify(jwt.verify)(
+    twoFactorToken,
+    process.env.JWT_SECRET
+  );
+
+  if (decoded.purpose !== 'twoFactor') {
+    next(new AppError('Invalid token. Please log in again!', 401));
+    return;
+  }
+
+  const user = await User.findById(decoded.id, null, {
+    disableMiddlewares: true,
+  }).select(
+    '+isDeleted +twoFactorEnabled +twoFactorSecret +twoFactorRecoveryCodes +failedLoginAttempts +lastFailedLogin +lockUntil +knownUserAgents +knownIps +loginAlerts'
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    next(new AppError('Invalid token. Please log in again!', 401));
+    return;
+  }
+
+  if (!checkLoginRestrictions(user, next)) return;
+
+  const validCode = code
+    ? user.correctTwoFactorCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!validCode) {
+    await registerLoginFailure(user, req);
+    next(new AppError('Invalid authentication code.', 401));
+    return;
+  }
+
+  await completeLogin(user, req, res);
+});
+
+// A refresh token already rotated was probably stolen, so the whole session is closed
+const revokeReusedSession = async (refreshToken, req) => {
+  const session = await Session.findOneAndDelete({
+    previousRefreshToken: refreshToken,
+  });
+
+  if (!session) return;
+
+  await AuditLog.record('refreshTokenReused', {
+    user: session.user,
+    req,
+    details: { session: session._id },
+  });
+};
+
+exports.refreshToken = catchAsync(async (req, res, next) => {
+  const {
+    body: { refreshToken: bodyToken },
+    cookies: { refreshToken: cookieToken },
+  } = req;
+
+  const token = bodyToken || cookieToken;
+
+  if (!token) {
+    next(new AppError('Please provide a refresh token.', 400));
+    return;
+  }
+
+  const refreshToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  const session = await Session.findOne({
+    refreshToken,
+    expiresAt: { $gt: Date.now() },
+  });
+
+  if (!session) {
+    await revokeReusedSession(refreshToken, req);
+    next(new AppError('Invalid refresh token. Please log in again.', 401));
+    return;
+  }
+
+  const user = await User.findById(session.user).select(
+    '+isConfirmed +failedLoginAttempts +lastFailedLogin +lockUntil'
+  );
+
+  if (!user) {
+    await Session.findByIdAndDelete(session._id);
+    next(
+      new AppError("The requested account doesn't exist or was deleted.", 401)
+    );
+    return;
+  }
+
+  if (!checkAccountLock(user, next)) return;
+
+  if (!user.isConfirmed) {
+    next(
+      new AppError(
+        'Please confirm your e-mail address (link sent by e-mail).',
+        403
+      )
+    );
+    return;
+  }
+
+  // Rotate the refresh token : the one that was just used can't be used again.
+  // The update only succeeds if the token is still the current one, so only one of concurrent requests gets a new token
+  const [newRefreshToken, hashedRefreshToken] = createLinkToken();
+
+  const rotatedSession = await Session.findOneAndUpdate(
+    { _id: session._id, refreshToken },
+    {
+      refreshToken: hashedRefreshToken,
+      previousRefreshToken: refreshToken,
+      lastUsedAt: Date.now(),
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+    },
+    { new: true }
+  );
+
+  if (!rotatedSession) {
+    await revokeReusedSession(refreshToken, req);
+    next(new AppError('Invalid refresh token. Please log in again.', 401));
+    return;
+  }
+
+  sendTokens(user, rotatedSession, newRefreshToken, 200, req, res);
+});
+
+exports.logout = catchAsync(async (req, res) => {
+  const token = getRequestToken(req);
+
+  // An invalid or expired token can't be used anymore, so only the cookies are cleared
+  if (token && !token.startsWith(API_TOKEN_PREFIX)) {
+    const decoded = await promisify(jwt.verify)(
+      token,
+      process.env.JWT_SECRET
+    ).catch(() => null);
+
+    if (decoded && decoded.jti) {
+      await RevokedToken.revoke(decoded);
+
+      if (decoded.session)
+        await Session.deleteOne({ _id: decoded.session, user: decoded.id });
+
+      // Close the real-time connections opened with the token
+      const io = req.app.get('io');
+      if (io) io.in(`token:${decoded.jti}`).disconnectSockets(true);
+    }
+  }
+
+  const expires = new Date(0);
+  res.cookie('jwt', '', getCookieOptions(req, expires));
+  res.cookie('refreshToken', '', getCookieOptions(req, expires));
+
+  res.status(200).json({ status: 'success', message: 'Logged out.' });
+});
+
+exports.forgotPassword = catchAsync(async (req, res, next) => {
+  const {
+    body: { email },
+  } = req;
+
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    res
+      .status(200)
+      .json({ status: 'success', message: 'Reset link sent to email!' });
+    return;
+  }
+
+  const resetToken = user.createPasswordResetToken();
+
+  await user.save({ validateBeforeSave: false });
+  try {
+    const url = `${FRONT_END_URL}/reset-password/${resetToken}`;
+
+    await new Email(user, url).sendPasswordReset();
+
+    res
+      .status(200)
+      .json({ status: 'success', message: 'Reset link sent to email!' });
+  } catch (err) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    next(
+      new AppError('There was an error sending the email. Try Again !', 500)
+    );
+  }
+});
+
+exports.reportLogin = catchAsync(async (req, res, next) => {
+  const {
+    params: { alertToken },
+  } = req;
+
+  const loginAlertToken = crypto
+    .createHash('sha256')
+    .update(alertToken)
+    .digest('hex');
+
+  const user = await User.findOne({
+    loginAlerts: {
+      $elemMatch: { token: loginAlertToken, expiresAt: { $gt: Date.now() } },
+    },
+  });
+
+  if (!user) {
+    next(new AppError('Token is invalid or has expired.', 400));
+    return;
+  }
+
+  // Revoke every token of the user before he chooses a new password
+  await Session.deleteMany({ user: user._id });
+  await ApiToken.deleteMany({ user: user._id });
+
+  user.passwordChangedAt = Date.now();
+  user.loginAlerts = [];
+  user.knownUserAgents = [];
+  user.knownIps = [];
+  const resetToken = user.createPasswordResetToken();
+
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record('loginReported', { user: user._id, req });
+
+  // Close the real-time connections opened with the revoked tokens
+  const io = req.app.get('io');
+  if (io) io.in(getUserRoom(user.id)).disconnectSockets(true);
+
+  try {
+    const url = `${FRONT_END_URL}/reset-password/${resetToken}`;
+
+    await new Email(user, url).sendPasswordReset();
+  } catch (err) {
+    console.error(err);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'All your sessions were closed. A link to choose a new password was sent to your email.',
+  });
+});
+
+exports.isResetLinkValid = catchAsync(async (req, res, next) => {
+  const {
+    params: { resetToken },
+  } = req;
+
+  const passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  const user = await User.findOne({
+    passwordResetToken,
+    passwordResetExpires: { $gt: Date.now() },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      valid: !user ? false : true,
+    },
+  });
+});
+
+exports.resetPassword = catchAsync(async (req, res, next) => {
+  const {
+    params: { resetToken },
+    body: { password, passwordConfirm },
+  } = req;
+
+  const passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  const user = await User.findOne({
+    passwordResetToken,
+    passwordResetExpires: { $gt: Date.now() },
+  }).select('+password +passwordHistory');
+
+  if (!user) {
+    next(new AppError('Token is invalid or has expired.', 400));
+    return;
+  }
+
+  if (password && (await user.isPasswordReused(password))) {
+    next(createPasswordReusedError());
+    return;
+  }
+
+  user.password = password;
+  user.passwordConfirm = passwordConfirm;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.resetLoginAttempts();
+
+  await user.save();
+
+  await AuditLog.record('passwordReset', { user: user._id, req });
+
+  await createSendToken(user, 200, req, res, 'Password successfully changed !');
+});
+
+exports.updatePassword = catchAsync(async (req, res, next) => {
+  const {
+    body: { passwordCurrent, password, passwordConfirm },
+    user: { _id: id },
+  } = req;
+
+  // 1) Get the user from the collection by selecting the password
+  const user = await User.findById(id).select('+password +passwordHistory');
+
+  // 2) Check if the posted password is correct
+  if (!(await user.correctPassword(passwordCurrent, user.password))) {
+    next(new AppError('Your current password is wrong.', 401));
+    return;
+  }
+
+  // 3) Check if the new password wasn't used recently
+  if (password && (await user.isPasswordReused(password))) {
+    next(createPasswordReusedError());
+    return;
+  }
+
+  // 4) Update the password
+  user.password = password;
+  user.passwordConfirm = passwordConfirm;
+  await user.save();
+
+  await AuditLog.record('passwordChanged', { user: user._id, req });
+
+  await createSendToken(user, 200, req, res);
+});
+
+exports.updateEmail = catchAsync(async (req, res, next) => {
+  const {
+    body: { email, password },
+    user: { id },
+  } = req;
+
+  const newEmail = email?.trim().toLowerCase();
+
+  if (!newEmail || !password) {
+    next(
+      new AppError('Please provide your new e-mail and your password.', 400)
+    );
+    return;
+  }
+
+  if (!isEmail(newEmail)) {
+    next(new AppError('Please provide a valid email address.', 400));
+    return;
+  }
+
+  const user = await User.findById(id).select('+password');
+
+  if (!(await user.correctPassword(password, user.password))) {
+    next(new AppError('Your current password is wrong.', 401));
+    return;
+  }
+
+  if (newEmail === user.email) {
+    next(new AppError('This is already your e-mail address.', 400));
+    return;
+  }
+
+  const existingUser = await User.findOne({ email: newEmail }, null, {
+    disableMiddlewares: true,
+  });
+
+  if (existingUser) {
+    next(new AppError('This e-mail address is already used.', 400));
+    return;
+  }
+
+  const emailToken = user.createEmailChangeToken(newEmail);
+
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    const url = `${FRONT_END_URL}/confirm-email/${emailToken}`;
+
+    await new Email(
+      { email: newEmail, username: user.username },
+      url
+    ).sendEmailChange();
+
+    await new Email(
+      user,
+      `${FRONT_END_URL}/forgot-password`
+    ).sendEmailChangeNotice(newEmail);
+
+    res.status(200).json({
+      status: 'success',
+      message:
+        'Please confirm your new e-mail address by accessing the link we sent to it.',
+    });
+  } catch (err) {
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    next(
+      new AppError('There was an error sending the email. Try Again !', 500)
+    );
+  }
+});
+
+exports.confirmEmail = catchAsync(async (req, res, next) => {
+  const {
+    params: { emailToken },
+  } = req;
+
+  const emailChangeToken = crypto
+    .createHash('sha256')
+    .update(emailToken)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailChangeToken,
+    emailChangeExpires: { $gt: Date.now() },
+  }).select('+pendingEmail');
+
+  if (!user) {
+    next(new AppError('Invalid link !', 404));
+    return;
+  }
+
+  const existingUser = await User.findOne({ email: user.pendingEmail }, null, {
+    disableMiddlewares: true,
+  });
+
+  if (existingUser) {
+    next(new AppError('This e-mail address is already used.', 400));
+    return;
+  }
+
+  user.email = user.pendingEmail;
+  user.pendingEmail = undefined;
+  user.emailChangeToken = undefined;
+  user.emailChangeExpires = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'E-mail address successfully changed.',
+    data: { user },
+  });
+});
+
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+  } = req;
+
+  const user = await User.findById(id).select('+twoFactorEnabled');
+
+  if (user.twoFactorEnabled) {
+    next(new AppError('Two-factor authentication is already enabled.', 400));
+    return;
+  }
+
+  const otpauthUrl = user.createTwoFactorSecret();
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'Scan the code with your authenticator application and confirm it with a generated code.',
+    data: { secret: user.twoFactorSecret, otpauthUrl },
+  });
+});
+
+exports.verifyTwoFactor = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    body: { code },
+  } = req;
+
+  const user = await User.findById(id).select(
+    '+twoFactorEnabled +twoFactorSecret'
+  );
+
+  if (user.twoFactorEnabled) {
+    next(new AppError('Two-factor authentication is already enabled.', 400));
+    return;
+  }
+
+  if (!user.twoFactorSecret) {
+    next(
+      new AppError('Please start the two-factor authentication setup.', 400)
+    );
+    return;
+  }
+
+  if (!user.correctTwoFactorCode(code)) {
+    next(new AppError('Invalid authentication code.', 401));
+    return;
+  }
+
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.createRecoveryCodes();
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'Two-factor authentication enabled. Keep your recovery codes in a safe place: they will not be shown again.',
+    data: { recoveryCodes },
+  });
+});
+
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    body: { code },
+  } = req;
+
+  const user = await User.findById(id).select(
+    '+twoFactorEnabled +twoFactorSecret'
+  );
+
+  if (!user.twoFactorEnabled) {
+    next(new AppError('Two-factor authentication is not enabled.', 400));
+    return;
+  }
+
+  if (!user.correctTwoFactorCode(code)) {
+    next(new AppError('Invalid authentication code.', 401));
+    return;
+  }
+
+  const recoveryCodes = user.createRecoveryCodes();
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ status: 'success', data: { recoveryCodes } });
+});
+
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const {
+    user: { id, role },
+    body: { code, recoveryCode },
+  } = req;
 
-  if (!user || !(await user.correctPassword(password, user.password))) {
-    next(new AppError('Incorrect credentials.', 401));
+  const user = await User.findById(id).select(
+    '+twoFactorEnabled +twoFactorSecret +twoFactorRecoveryCodes'
+  );
+
+  if (!user.twoFactorEnabled) {
+    next(new AppError('Two-factor authentication is not enabled.', 400));
     return;
   }
 
-  if (!user.isConfirmed) {
+  const { twoFactorRequired } = await Role.getPolicy(role);
+
+  if (twoFactorRequired) {
     next(
       new AppError(
-        'Please confirm your e-mail address (link sent by e-mail).',
+        "Two-factor authentication is required for your role, you can't disable it.",
         403
       )
     );
     return;
   }
 
-  const deletedStatus = user.isDeleted;
-  let message = '';
-  if (deletedStatus) {
-    user.isDeleted = false;
-    user.deletedAt = undefined;
-    const timeout = TIMEOUTS[user._id.valueOf()];
-    clearTimeout(timeout);
-    TIMEOUTS[user._id.valueOf()] = undefined;
-    await user.save({ validateBeforeSave: false });
-    message = 'Happy to see you back';
+  const validCode = code
+    ? user.correctTwoFactorCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!validCode) {
+    next(new AppError('Invalid authentication code.', 401));
+    return;
   }
 
-  // If everything is ok, send token to client
-  createSendToken(user, 200, req, res, message);
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled.',
+    data: null,
+  });
 });
 
-exports.forgotPassword = catchAsync(async (req, res, next) => {
-  const {
-    body: { email },
-  } = req;
+const protectWithApiToken = async (token, req, next) => {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token.slice(API_TOKEN_PREFIX.length))
+    .digest('hex');
 
-  const user = await User.findOne({ email });
+  const apiToken = await ApiToken.findOne({
+    token: hashedToken,
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: { $gt: Date.now() } },
+    ],
+  });
 
-  if (!user) {
-    res
-      .status(200)
-      .json({ status: 'success', message: 'Reset link sent to email!' });
+  if (!apiToken) {
+    next(new AppError('Invalid or expired API token.', 401));
     return;
   }
 
-  const resetToken = user.createPasswordResetToken();
-
-  await user.save({ validateBeforeSave: false });
-  try {
-    const url = `${FRONT_END_URL}/reset-password/${resetToken}`;
-
-    await new Email(user, url).sendPasswordReset();
+  const currentUser = await User.findById(apiToken.user).select(
+    '+supervisor +supervised +twoFactorEnabled'
+  );
 
-    res
-      .status(200)
-      .json({ status: 'success', message: 'Reset link sent to email!' });
-  } catch (err) {
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
-    await user.save({ validateBeforeSave: false });
+  if (!currentUser) {
     next(
-      new AppError('There was an error sending the email. Try Again !', 500)
+      new AppError("The requested account doesn't exist or was deleted.", 401)
     );
+    return;
   }
-});
 
-exports.isResetLinkValid = catchAsync(async (req, res, next) => {
-  const {
-    params: { resetToken },
-  } = req;
+  // The scope of the resource is set by the api router (see scopeTo)
+  if (!req.apiScope || !apiToken.allows(req.apiScope, req.method)) {
+    next(
+      new AppError(
+        "Your API token doesn't have the scope required to perform this action.",
+        403
+      )
+    );
+    return;
+  }
 
-  const passwordResetToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+  await ApiToken.findByIdAndUpdate(apiToken._id, { lastUsedAt: Date.now() });
 
-  const user = await User.findOne({
-    passwordResetToken,
-    passwordResetExpires: { $gt: Date.now() },
-  });
+  req.user = currentUser;
+  req.apiToken = apiToken;
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      valid: !user ? false : true,
-    },
-  });
-});
+  next();
+};
 
-exports.resetPassword = catchAsync(async (req, res, next) => {
-  const {
-    params: { resetToken },
-    body: { password, passwordConfirm },
-  } = req;
+const protectImpersonation = async (decoded, currentUser, req, res, next) => {
+  const impersonator = await User.findById(decoded.impersonator).select(
+    '+passwordChangedAt'
+  );
 
-  const passwordResetToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+  if (
+    !impersonator ||
+    !(await Role.getPolicy(impersonator.role)).hasPermission(
+      'users.impersonate'
+    ) ||
+    impersonator.changedPasswordAfter(decoded.iat)
+  ) {
+    next(
+      new AppError('The impersonation has ended. Please log in again.', 401)
+    );
+    return;
+  }
 
-  const user = await User.findOne({
-    passwordResetToken,
-    passwordResetExpires: { $gt: Date.now() },
+  // Every impersonated request is recorded, once its result is known
+  res.on('finish', () => {
+    ImpersonationLog.record(
+      impersonator._id,
+      currentUser._id,
+      req,
+      res.statusCode
+    ).catch(err => console.error('Impersonation log error:', err.message));
   });
 
-  if (!user) {
-    next(new AppError('Token is invalid or has expired.', 400));
+  res.set('X-Impersonated-By', impersonator.id);
+
+  // The impersonation is used to see the application as the user, so only the listed writes are allowed
+  const route = `${req.method} ${req.originalUrl
+    .split('?')[0]
+    .replace(API_ROUTE, '')}`;
+
+  if (
+    !['GET', 'HEAD'].includes(req.method) &&
+    !IMPERSONATION_ALLOWED_WRITES.includes(route)
+  ) {
+    next(
+      new AppError(
+        "This action can't be performed while impersonating an user.",
+        403
+      )
+    );
     return;
   }
 
-  user.password = password;
-  user.passwordConfirm = passwordConfirm;
-  user.passwordResetToken = undefined;
-  user.passwordResetExpires = undefined;
+  req.user = currentUser;
+  req.impersonator = impersonator;
 
-  await user.save();
+  next();
+};
 
-  createSendToken(user, 200, req, res, 'Password successfully changed !');
-});
+exports.scopeTo = resource => (req, _res, next) => {
+  req.apiScope = resource;
+  next();
+};
 
-exports.updatePassword = catchAsync(async (req, res, next) => {
-  const {
-    body: { passwordCurrent, password, passwordConfirm },
-    user: { _id: id },
-  } = req;
+exports.restrictImpersonation = (req, _res, next) => {
+  if (req.impersonator) {
+    next(
+      new AppError(
+        "This action can't be performed while impersonating an user.",
+        403
+      )
+    );
+    return;
+  }
 
-  // 1) Get the user from the collection by selecting the password
-  const user = await User.findById(id).select('+password');
+  next();
+};
 
-  // 2) Check if the posted password is correct
-  if (!(await user.correctPassword(passwordCurrent, user.password))) {
-    next(new AppError('Your current password is wrong.', 401));
+exports.restrictApiToken = (req, _res, next) => {
+  if (req.apiToken) {
+    next(
+      new AppError("This action can't be performed with an API token.", 403)
+    );
     return;
   }
 
-  // 3) Update the password
-  user.password = password;
-  user.passwordConfirm = passwordConfirm;
-  await user.save();
-
-  createSendToken(user, 200, req, res);
-});
+  next();
+};
 
-exports.protect = catchAsync(async (req, _, next) => {
+exports.protect = catchAsync(async (req, res, next) => {
   // 1) Get the token from the header / cookie and check if it exists
-  const {
-    headers: { authorization },
-    cookies: { jwt: cookieToken },
-  } = req;
-
   const {
     env: { JWT_SECRET },
   } = process;
-  let token = '';
-
-  if (authorization && authorization.startsWith('Bearer'))
-    token = authorization.split(' ')[1];
-  else if (cookieToken) token = cookieToken;
+  const token = getRequestToken(req);
 
   if (!token) {
     next(
@@ -396,14 +1415,26 @@ exports.protect = catchAsync(async (req, _, next) => {
     return;
   }
 
+  // Personal API tokens aren't JWTs and are checked separately
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    await protectWithApiToken(token, req, next);
+    return;
+  }
+
   // 2) Verify the token
   //  JSONWebTokenError : invalid token
   //  TokenExpiredError : the token has expired
   const decoded = await promisify(jwt.verify)(token, JWT_SECRET);
 
+  // The token was revoked by a logout
+  if (decoded.jti && (await RevokedToken.isRevoked(decoded.jti))) {
+    next(new AppError('This token was revoked. Please log in again.', 401));
+    return;
+  }
+
   // 3) Check if the user still exists
   const currentUser = await User.findById(decoded.id).select(
-    '+passwordChangedAt +supervisor +supervised'
+    '+passwordChangedAt +supervisor +supervised +twoFactorEnabled'
   );
 
   if (!currentUser) {
@@ -421,27 +1452,64 @@ exports.protect = catchAsync(async (req, _, next) => {
     return;
   }
 
+  // Impersonation tokens issued by an admin don't belong to a session
+  if (decoded.impersonator) {
+    await protectImpersonation(decoded, currentUser, req, res, next);
+    return;
+  }
+
+  // 5) Check if the session of the token wasn't revoked
+  const session = decoded.session
+    ? await Session.findOne({ _id: decoded.session, user: currentUser._id })
+    : null;
+
+  if (!session) {
+    next(
+      new AppError(
+        'Your session has expired or was revoked. Please log in again.',
+        401
+      )
+    );
+    return;
+  }
+
   // Access the logged user to be used in a next middleware
   req.user = currentUser;
+  req.currentSession = session;
 
   next();
 });
 
-exports.restrictTo =
-  (...roles) =>
-  (req, _res, next) => {
+exports.requirePermission = permission =>
+  catchAsync(async (req, _res, next) => {
     const {
-      user: { role },
+      user: { role, twoFactorEnabled },
     } = req;
-    if (!roles.includes(role)) {
+
+    const policy = await Role.getPolicy(role);
+
+    if (!policy.hasPermission(permission)) {
       next(
         new AppError("You don't have permission to perform this action.", 403)
       );
       return;
     }
 
+    if (policy.twoFactorRequired && !twoFactorEnabled) {
+      next(
+        new AppError(
+          'Two-factor authentication is required for your role. Please enable it to get access.',
+          403
+        )
+      );
+      return;
+    }
+
+    // The controllers can check the other permissions of the user
+    req.permissions = policy.permissions;
+
     next();
-  };
+  });
 
 exports.restrictUpdatePassword = (req, res, next) => {
   const {
@@ -473,6 +1541,109 @@ exports.restrictUpdateRole = (req, res, next) => {
   next();
 };
 
+exports.restrictUpdateTeacherProfile = (req, res, next) => {
+  const {
+    body: { teacherProfile },
+  } = req;
+
+  if (teacherProfile) {
+    next(
+      new AppError(
+        'Use the /me/teacher-profile route to update the teacher profile.',
+        400
+      )
+    );
+    return;
+  }
+
+  next();
+};
+
+exports.restrictUpdatePrivacy = (req, res, next) => {
+  const {
+    body: { privacy },
+  } = req;
+
+  if (privacy) {
+    next(
+      new AppError(
+        'Use the /me/privacy route to update the privacy settings.',
+        400
+      )
+    );
+    return;
+  }
+
+  next();
+};
+
+// Checked after the upload of the photo, so that the fields of a multipart form are checked too
+exports.restrictUpdateFields =
+  (...allowedFields) =>
+  (req, res, next) => {
+    const { body } = req;
+
+    const forbiddenFields = Object.keys(body || {}).filter(
+      field =>
+        !UPDATABLE_USER_FIELDS.includes(field) && !allowedFields.includes(field)
+    );
+
+    if (forbiddenFields.length > 0) {
+      next(
+        new AppError(
+          `These fields can't be updated: ${forbiddenFields.join(', ')}.`,
+          400
+        )
+      );
+      return;
+    }
+
+    next();
+  };
+
+// The public profiles stay accessible without login, the other ones require to identify the viewer
+exports.protectPrivateProfile = catchAsync(async (req, res, next) => {
+  const { document: user } = req;
+
+  // The viewer of a public profile is still identified, so that the block is applied
+  if (!(await getPrivacyAudience(user._id, 'profile'))) {
+    identifyUser(req, res, next);
+    return;
+  }
+
+  exports.protect(req, res, next);
+});
+
+exports.restrictProfileVisibility = catchAsync(async (req, res, next) => {
+  const { document: user } = req;
+
+  // Same answer as for a non-existing user, so that the block isn't revealed
+  if (req.user && (await User.isBlockedBetween(req.user.id, user.id))) {
+    next(new AppError('No user found with that ID.', 404));
+    return;
+  }
+
+  if (!(await isAllowedBy(user._id, req.user, 'profile'))) {
+    next(new AppError('This profile is private.', 403));
+    return;
+  }
+
+  next();
+});
+
+exports.restrictUpdateEmail = (req, res, next) => {
+  const {
+    body: { email },
+  } = req;
+
+  if (email) {
+    next(new AppError('Use the /me/email route to update the email.', 400));
+    return;
+  }
+
+  next();
+};
+
 exports.restrictUpdateTestsAccount = catchAsync(async (req, res, next) => {
   let { document: user } = req;
 
@@ -499,7 +1670,13 @@ exports.checkOtherUser = catchAsync(async (req, res, next) => {
 
   const otherUser = await User.findById(userId);
 
-  if (!otherUser || otherUser.isDeleted || otherUser.role === 'admin') {
+  // Same answer as for a non-existing user, so that the block isn't revealed
+  if (
+    !otherUser ||
+    otherUser.isDeleted ||
+    ['admin', 'guardian'].includes(otherUser.role) ||
+    (await User.isBlockedBetween(id, userId))
+  ) {
     next(new AppError('No user found with that Id.', 404));
     return;
   }
@@ -509,6 +1686,20 @@ exports.checkOtherUser = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Checked before the upload of the files, so that nothing is saved for a rejected message
+exports.restrictMessageReceiver = catchAsync(async (req, res, next) => {
+  const {
+    otherUser: { id: receiver },
+  } = req;
+
+  if (!(await isAllowedBy(receiver, req.user, 'messages'))) {
+    next(new AppError("This user doesn't accept messages from you.", 403));
+    return;
+  }
+
+  next();
+});
+
 exports.restrictToReceiver = catchAsync(async (req, res, next) => {
   const {
     params: { messageId },
@@ -543,13 +1734,14 @@ exports.restrictReceiverToTeacher = catchAsync(async (req, res, next) => {
 
   const user = await User.findById(userId);
 
-  if (user.role !== 'teacher') {
+  if (!user || user.role !== 'teacher') {
     next(
       new AppError(
         "You can't send a teaching demand to an user that is not a teacher.",
         400
       )
     );
+    return;
   }
   req.teacher = user;
 
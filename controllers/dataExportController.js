@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const DataExport = require('../models/dataExportModel');
+const AuditLog = require('../models/auditLogModel');
+const AppError = require('../utils/classes/AppError');
+const { catchAsync } = require('../utils/utils');
+const { scheduleJob } = require('../utils/services/jobs');
+
+exports.requestExport = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+  } = req;
+
+  if (await DataExport.exists({ user: id, status: 'pending' })) {
+    next(new AppError('An export of your data is already in progress.', 400));
+    return;
+  }
+
+  await DataExport.create({ user: id });
+  await scheduleJob('exportUserData', id, Date.now());
+
+  await AuditLog.record('dataExportRequested', { user: id, req });
+
+  res.status(202).json({
+    status: 'success',
+    message:
+      'Your data export is being prepared. You will receive an e-mail with the download link.',
+    data: null,
+  });
+});
+
+exports.downloadExport = catchAsync(async (req, res, next) => {
+  const {
+    params: { exportToken },
+  } = req;
+
+  const token = crypto.createHash('sha256').update(exportToken).digest('hex');
+
+  const dataExport = await DataExport.findOne({
+    token,
+    status: 'ready',
+    expiresAt: { $gt: Date.now() },
+  }).select('+file');
+
+  if (!dataExport) {
+    next(new AppError('Token is invalid or has expired.', 400));
+    return;
+  }
+
+  await AuditLog.record('dataExportDownloaded', {
+    user: dataExport.user,
+    actor: null,
+    req,
+  });
+
+  res.download(
+    dataExport.file,
+    `learn-at-home-export-${dataExport.createdAt
+      .toISOString()
+      .slice(0, 10)}.zip`,
+    { root: process.cwd() },
+    err => {
+      if (err && !res.headersSent)
+        next(new AppError('The export file is no longer available.', 404));
+    }
+  );
+});
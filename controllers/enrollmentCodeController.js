@@ -0,0 +1,130 @@
+const EnrollmentCode = require('../models/enrollmentCodeModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const User = require('../models/userModel');
+const AppError = require('../utils/classes/AppError');
+const {
+  ENROLLMENT_CODE_EXPIRES_IN,
+  FRONT_END_URL,
+} = require('../utils/globals');
+const { catchAsync } = require('../utils/utils');
+const {
+  enrollStudent,
+  hasFreeSeat,
+  getWaitlistPosition,
+} = require('../utils/services/supervision');
+
+const withLink = enrollmentCode => ({
+  ...enrollmentCode.toObject(),
+  link: `${FRONT_END_URL}/enroll/${enrollmentCode.code}`,
+});
+
+exports.getMyCodes = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+  } = req;
+
+  const enrollmentCodes = (
+    await EnrollmentCode.find({ teacher: id })
+      .select('-__v')
+      .sort({ createdAt: -1 })
+  ).map(withLink);
+
+  res.status(200).json({ status: 'success', data: { enrollmentCodes } });
+});
+
+exports.createCode = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+    body: { expiresAt, maxUses },
+  } = req;
+
+  const newCode = await EnrollmentCode.create({
+    teacher: id,
+    expiresAt: expiresAt || Date.now() + ENROLLMENT_CODE_EXPIRES_IN,
+    maxUses,
+  });
+
+  const enrollmentCode = withLink(
+    await EnrollmentCode.findById(newCode._id).select('-__v')
+  );
+
+  res.status(201).json({ status: 'success', data: { enrollmentCode } });
+});
+
+exports.deleteCode = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    params: { codeId },
+  } = req;
+
+  const enrollmentCode = await EnrollmentCode.findOneAndDelete({
+    _id: codeId,
+    teacher: id,
+  });
+
+  if (!enrollmentCode) {
+    next(new AppError('No enrollment code found with that ID.', 404));
+    return;
+  }
+
+  res.status(204).json({ status: 'success' });
+});
+
+exports.redeemCode = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    body: { code },
+  } = req;
+
+  if (!code) {
+    next(new AppError('Please provide an enrollment code.', 400));
+    return;
+  }
+
+  const existingApprovedDemand = await TeachingDemand.findOne({
+    sender: id,
+    accepted: true,
+  });
+
+  if (existingApprovedDemand) {
+    next(new AppError("You can't have multiple mentors.", 400));
+    return;
+  }
+
+  const enrollmentCode = await EnrollmentCode.redeem(code);
+
+  if (!enrollmentCode) {
+    next(new AppError('Invalid or expired enrollment code.', 400));
+    return;
+  }
+
+  if (!(await hasFreeSeat(enrollmentCode.teacher))) {
+    await EnrollmentCode.release(enrollmentCode);
+    next(new AppError('This teacher has no free place anymore.', 400));
+    return;
+  }
+
+  const demand = await enrollStudent(id, enrollmentCode.teacher.valueOf());
+
+  // The last place was taken since the check by another student
+  if (demand.waitlisted) {
+    const position = await getWaitlistPosition(demand);
+
+    res.status(200).json({
+      status: 'success',
+      message: `This teacher has no free place anymore: you were added to the waitlist (position ${position}).`,
+      data: { position },
+    });
+    return;
+  }
+
+  const supervisor = await User.findById(enrollmentCode.teacher).select(
+    '_id username firstname lastname email photo'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: `You are now supervised by ${supervisor.username}.`,
+    data: { supervisor },
+  });
+});
@@ -139,7 +139,10 @@ exports.createEvent = catchAsync(async (req, res, next) => {
       async id => await User.findOne({ _id: id, role: { $ne: 'admin' } })
     )
   );
-  if (!validateGuestOrAttendees(guestUsers, organizer, next)) {
+  const blockedIds = await User.getBlockRelations(organizer);
+  if (
+    !validateGuestOrAttendees(guestUsers, organizer, next, true, blockedIds)
+  ) {
     return;
   }
 
@@ -226,11 +229,29 @@ exports.updateEvent = catchAsync(async (req, res, next) => {
     return;
   }
 
-  if (!validateGuestOrAttendees(guestUsers, organizer, next)) {
+  // The users already taking part in the event can stay in it
+  const participants = [...event.guests, ...event.attendees].map(user =>
+    user.valueOf()
+  );
+  const blockedIds = (await User.getBlockRelations(organizer)).filter(
+    blockedId => !participants.includes(blockedId)
+  );
+
+  if (
+    !validateGuestOrAttendees(guestUsers, organizer, next, true, blockedIds)
+  ) {
     return;
   }
 
-  if (!validateGuestOrAttendees(attendeesUsers, organizer, next, false)) {
+  if (
+    !validateGuestOrAttendees(
+      attendeesUsers,
+      organizer,
+      next,
+      false,
+      blockedIds
+    )
+  ) {
     return;
   }
 
@@ -0,0 +1,292 @@
+const Guardianship = require('../models/guardianshipModel');
+const User = require('../models/userModel');
+const Task = require('../models/taskModel');
+const Event = require('../models/eventModel');
+const AppError = require('../utils/classes/AppError');
+const { catchAsync } = require('../utils/utils');
+
+const POPULATE_OPTIONS = [
+  { path: 'guardian', select: '_id username firstname lastname' },
+  { path: 'student', select: '_id username firstname lastname' },
+];
+
+exports.getAllGuardianships = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+    permissions,
+  } = req;
+
+  // The managers (admins) see every request, to be able to approve them
+  const reqObject = permissions.includes('guardianships.manage')
+    ? {}
+    : { $or: [{ guardian: id }, { student: id }] };
+
+  const guardianships = await Guardianship.find(reqObject)
+    .populate(POPULATE_OPTIONS)
+    .sort({ sent: -1 });
+
+  res.status(200).json({ status: 'success', data: { guardianships } });
+});
+
+exports.requestGuardianship = catchAsync(async (req, res, next) => {
+  const {
+    user: { id: guardian },
+    body: { email, username },
+  } = req;
+
+  if (!email && !username) {
+    next(new AppError("Please provide the student's email or username.", 400));
+    return;
+  }
+
+  const reqObject = email ? { email } : { username };
+
+  const student = await User.findOne({ ...reqObject, role: 'student' });
+
+  if (!student) {
+    next(new AppError('No student found with these details.', 404));
+    return;
+  }
+
+  const existingGuardianship = await Guardianship.findOne({
+    guardian,
+    student: student._id,
+    cancelled: false,
+  });
+
+  if (existingGuardianship) {
+    next(
+      new AppError(
+        existingGuardianship.accepted
+          ? 'You are already the guardian of this student.'
+          : 'There is a pending guardianship request sent to this student.',
+        400
+      )
+    );
+    return;
+  }
+
+  const newGuardianship = await Guardianship.create({
+    guardian,
+    student: student._id,
+  });
+
+  const guardianship = await Guardianship.findById(
+    newGuardianship._id
+  ).populate(POPULATE_OPTIONS);
+
+  res.status(201).json({ status: 'success', data: { guardianship } });
+});
+
+exports.acceptGuardianship = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    params: { guardianshipId },
+    permissions,
+  } = req;
+
+  const guardianship = await Guardianship.findById(guardianshipId);
+
+  if (!guardianship) {
+    next(new AppError('No guardianship found with that ID.', 404));
+    return;
+  }
+
+  // The consent is given by the student himself or by an admin
+  if (
+    !permissions.includes('guardianships.manage') &&
+    guardianship.student.valueOf() !== id
+  ) {
+    next(
+      new AppError(
+        "You can't accept guardianship requests that weren't sent to you.",
+        403
+      )
+    );
+    return;
+  }
+
+  if (guardianship.cancelled) {
+    next(
+      new AppError(
+        "You can't accept guardianship requests that were cancelled.",
+        400
+      )
+    );
+    return;
+  }
+
+  if (guardianship.accepted) {
+    next(new AppError('This guardianship request was already accepted.', 400));
+    return;
+  }
+
+  const updatedGuardianship = await Guardianship.findByIdAndUpdate(
+    guardianship._id,
+    { accepted: true, acceptedBy: id, acceptedAt: Date.now() },
+    { new: true }
+  ).populate(POPULATE_OPTIONS);
+
+  res
+    .status(200)
+    .json({ status: 'success', data: { guardianship: updatedGuardianship } });
+});
+
+exports.cancelGuardianship = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    params: { guardianshipId },
+    permissions,
+  } = req;
+
+  const guardianship = await Guardianship.findById(guardianshipId);
+
+  if (!guardianship) {
+    next(new AppError('No guardianship found with that ID.', 404));
+    return;
+  }
+
+  if (
+    !permissions.includes('guardianships.manage') &&
+    guardianship.guardian.valueOf() !== id &&
+    guardianship.student.valueOf() !== id
+  ) {
+    next(
+      new AppError("You can't cancel guardianships you are not part of.", 403)
+    );
+    return;
+  }
+
+  if (guardianship.cancelled) {
+    next(new AppError('This guardianship was already cancelled.', 400));
+    return;
+  }
+
+  // Cancelling an accepted guardianship revokes the access of the guardian
+  const updatedGuardianship = await Guardianship.findByIdAndUpdate(
+    guardianship._id,
+    { cancelled: true },
+    { new: true }
+  ).populate(POPULATE_OPTIONS);
+
+  res
+    .status(200)
+    .json({ status: 'success', data: { guardianship: updatedGuardianship } });
+});
+
+exports.getWards = catchAsync(async (req, res) => {
+  const {
+    user: { id: guardian },
+  } = req;
+
+  const guardianships = await Guardianship.find({
+    guardian,
+    accepted: true,
+    cancelled: false,
+  }).populate({
+    path: 'student',
+    select: '_id username firstname lastname photo',
+  });
+
+  const students = guardianships
+    .map(guardianship => guardianship.student)
+    .filter(student => student);
+
+  res.status(200).json({ status: 'success', data: { students } });
+});
+
+exports.restrictToWard = catchAsync(async (req, res, next) => {
+  const {
+    user: { id: guardian },
+    params: { studentId },
+  } = req;
+
+  const guardianship = await Guardianship.findOne({
+    guardian,
+    student: studentId,
+    accepted: true,
+    cancelled: false,
+  });
+
+  const student =
+    guardianship &&
+    (await User.findOne({ _id: studentId, role: 'student' }).select(
+      '+supervisor'
+    ));
+
+  if (!student) {
+    next(new AppError('You are not the guardian of this student.', 403));
+    return;
+  }
+
+  req.student = student;
+
+  next();
+});
+
+exports.getWardTasks = catchAsync(async (req, res) => {
+  const {
+    student: { id: performer },
+  } = req;
+
+  const tasks = await Task.find({ performer }).populate({
+    path: 'performer',
+    select: '_id username',
+  });
+
+  res.status(200).json({ status: 'success', data: { tasks } });
+});
+
+exports.getWardEvents = catchAsync(async (req, res, next) => {
+  const {
+    student: { id: userId },
+    query,
+  } = req;
+
+  const page = query.page || 1;
+  const limit = query.limit || 10;
+  const skip = (+page - 1) * +limit;
+
+  if (isNaN(+page) || isNaN(+limit)) {
+    next(
+      new AppError(
+        'please provide numerical values for pagination query variables (page and limit).',
+        400
+      )
+    );
+    return;
+  }
+
+  // The pending invitations of the student aren't shown
+  const events = await Event.find({
+    $or: [{ organizer: userId }, { attendees: userId }],
+  })
+    .populate({
+      path: 'organizer',
+      select: 'username',
+    })
+    .sort({ beginning: -1 })
+    .skip(+skip)
+    .limit(+limit);
+
+  if (events.length === 0 && +page > 1) {
+    next(new AppError("This page doesn't exist.", 404));
+    return;
+  }
+
+  res.status(200).json({ status: 'success', data: { events } });
+});
+
+exports.getWardSupervisor = catchAsync(async (req, res) => {
+  const {
+    student: { supervisor: supervisorId },
+  } = req;
+
+  const supervisor = supervisorId
+    ? await User.findById(supervisorId).select(
+        '_id username firstname lastname email photo'
+      )
+    : null;
+
+  res.status(200).json({ status: 'success', data: { supervisor } });
+});
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ImpersonationLog = require('../models/impersonationLogModel');
+const { getAll } = require('./handlers/handlerFactory');
+const { IMPERSONATION_TOKEN_EXPIRES_IN } = require('../utils/globals');
+const { catchAsync } = require('../utils/utils');
+
+exports.impersonateUser = catchAsync(async (req, res) => {
+  const {
+    document: user,
+    user: { id: adminId },
+  } = req;
+
+  // The token isn't linked to a session and can't be refreshed
+  const token = jwt.sign(
+    { id: user._id, impersonator: adminId },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: IMPERSONATION_TOKEN_EXPIRES_IN / 1000,
+      jwtid: crypto.randomUUID(),
+    }
+  );
+
+  await ImpersonationLog.record(adminId, user._id, req, 201);
+
+  res.status(201).json({
+    status: 'success',
+    message: `You are now viewing the application as ${user.username}.`,
+    impersonation: true,
+    token,
+    expiresAt: new Date(Date.now() + IMPERSONATION_TOKEN_EXPIRES_IN),
+  });
+});
+
+exports.getAllImpersonations = getAll(ImpersonationLog);
@@ -0,0 +1,58 @@
+const Role = require('../models/roleModel');
+const AppError = require('../utils/classes/AppError');
+const { ROLES } = require('../utils/globals');
+const { catchAsync } = require('../utils/utils');
+
+exports.getAllRoles = catchAsync(async (req, res) => {
+  const roles = await Promise.all(ROLES.map(name => Role.getPolicy(name)));
+
+  res.status(200).json({ status: 'success', data: { roles } });
+});
+
+exports.updateRole = catchAsync(async (req, res, next) => {
+  const {
+    params: { name },
+    body: { twoFactorRequired, magicLinkEnabled, permissions },
+  } = req;
+
+  if (!ROLES.includes(name)) {
+    next(new AppError('No role found with that name.', 404));
+    return;
+  }
+
+  const update = {};
+
+  if (twoFactorRequired !== undefined)
+    update.twoFactorRequired = twoFactorRequired;
+
+  if (magicLinkEnabled !== undefined)
+    update.magicLinkEnabled = magicLinkEnabled;
+
+  if (permissions !== undefined) {
+    // Otherwise nobody could modify the roles anymore
+    if (
+      name === 'admin' &&
+      (!Array.isArray(permissions) || !permissions.includes('roles.manage'))
+    ) {
+      next(
+        new AppError(
+          'The admin role must keep the roles.manage permission.',
+          400
+        )
+      );
+      return;
+    }
+
+    update.permissions = permissions;
+  }
+
+  await Role.findOneAndUpdate({ name }, update, {
+    upsert: true,
+    runValidators: true,
+    setDefaultsOnInsert: true,
+  });
+
+  const role = await Role.getPolicy(name);
+
+  res.status(200).json({ status: 'success', data: { role } });
+});
@@ -0,0 +1,58 @@
+const Session = require('../models/sessionModel');
+const AppError = require('../utils/classes/AppError');
+const { catchAsync } = require('../utils/utils');
+
+exports.getMySessions = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+    currentSession,
+  } = req;
+
+  const sessions = await Session.find({
+    user: id,
+    expiresAt: { $gt: Date.now() },
+  })
+    .select('-__v')
+    .sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session.id === currentSession.id,
+      })),
+    },
+  });
+});
+
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    params: { sessionId },
+  } = req;
+
+  const session = await Session.findOneAndDelete({ _id: sessionId, user: id });
+
+  if (!session) {
+    next(new AppError('No session found with that ID.', 404));
+    return;
+  }
+
+  res.status(204).json({ status: 'success' });
+});
+
+exports.revokeAllSessions = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+    currentSession,
+  } = req;
+
+  await Session.deleteMany({ user: id, _id: { $ne: currentSession._id } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'All your other devices were successfully signed out.',
+    data: null,
+  });
+});
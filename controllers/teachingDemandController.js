@@ -1,18 +1,35 @@
+const mongoose = require('mongoose');
 const TeachingDemand = require('../models/teachingDemandModel');
 const User = require('../models/userModel');
 const AppError = require('../utils/classes/AppError');
+const { TEACHER_SORT_FIELDS } = require('../utils/globals');
 const { catchAsync } = require('../utils/utils');
+const {
+  attachStudent,
+  hasFreeSeat,
+  getWaitlistPosition,
+} = require('../utils/services/supervision');
+const { getVisibleProfileFilter } = require('../utils/services/privacy');
 
 exports.getAllDemands = catchAsync(async (req, res) => {
   const {
-    user: { id, role },
+    user: { id },
+    permissions,
   } = req;
 
-  const reqObject = {
-    [role === 'student' ? 'sender' : 'receiver']: id,
-  };
+  // The users see the demands they can send and the ones they can accept
+  const conditions = [];
+  if (permissions.includes('teaching-demands.send'))
+    conditions.push({ sender: id });
+  if (permissions.includes('teaching-demands.accept'))
+    conditions.push({ receiver: id });
+
+  if (!conditions.length) {
+    res.status(200).json({ status: 'success', data: { teachingDemands: [] } });
+    return;
+  }
 
-  const teachingDemands = await TeachingDemand.find(reqObject)
+  const teachingDemands = await TeachingDemand.find({ $or: conditions })
     .populate({
       path: 'sender',
       select: '_id username',
@@ -44,19 +61,98 @@ exports.isSupervised = catchAsync(async (req, res, next) => {
   });
 });
 
-exports.getAvailableTeachers = catchAsync(async (req, res) => {
+exports.getAvailableTeachers = catchAsync(async (req, res, next) => {
   const {
     user: { id },
+    query: { subject, level, language, day, available, sort = 'username' },
   } = req;
 
+  const sortField = TEACHER_SORT_FIELDS[sort.replace(/^-/, '')];
+
+  if (!sortField) {
+    next(
+      new AppError(
+        `Invalid sort field. Please use one of: ${Object.keys(
+          TEACHER_SORT_FIELDS
+        ).join(', ')}.`,
+        400
+      )
+    );
+    return;
+  }
+
   const teachingDemands = (await TeachingDemand.find({ sender: id })).map(
     demand => demand.receiver
   );
 
-  const teachers = await User.find({
-    _id: { $nin: teachingDemands },
+  const blockedIds = (await User.getBlockRelations(id)).map(
+    blockedId => new mongoose.Types.ObjectId(blockedId)
+  );
+
+  const filter = {
+    _id: { $nin: [...teachingDemands, ...blockedIds] },
     role: 'teacher',
-  });
+    isDeleted: { $ne: true },
+    ...(await getVisibleProfileFilter(req.user)),
+  };
+
+  if (subject)
+    filter['teacherProfile.subjects'] = {
+      $elemMatch: {
+        name: subject.trim().toLowerCase(),
+        ...(level && { levels: level }),
+      },
+    };
+  else if (level) filter['teacherProfile.subjects.levels'] = level;
+
+  if (language)
+    filter['teacherProfile.languages'] = language.trim().toLowerCase();
+
+  if (day) filter['teacherProfile.availability.day'] = day;
+
+  const teachers = await User.aggregate([
+    { $match: filter },
+    {
+      $addFields: {
+        students: { $size: { $ifNull: ['$supervised', []] } },
+      },
+    },
+    {
+      $addFields: {
+        // No free places limit if the teacher didn't set a maximum
+        freePlaces: {
+          $cond: [
+            { $gt: ['$teacherProfile.maxStudents', null] },
+            { $subtract: ['$teacherProfile.maxStudents', '$students'] },
+            null,
+          ],
+        },
+      },
+    },
+    ...(available === 'true'
+      ? [
+          {
+            $match: {
+              $or: [{ freePlaces: null }, { freePlaces: { $gt: 0 } }],
+            },
+          },
+        ]
+      : []),
+    { $sort: { [sortField]: sort.startsWith('-') ? -1 : 1, _id: 1 } },
+    {
+      $project: {
+        email: 1,
+        username: 1,
+        firstname: 1,
+        lastname: 1,
+        photo: 1,
+        role: 1,
+        teacherProfile: 1,
+        students: 1,
+        freePlaces: 1,
+      },
+    },
+  ]);
 
   res.status(200).json({ status: 'success', data: { teachers } });
 });
@@ -100,6 +196,17 @@ exports.sendDemand = catchAsync(async (req, res, next) => {
     user: { id: sender },
   } = req;
 
+  // Same answer as for a non-teacher, so that the block isn't revealed
+  if (await User.isBlockedBetween(sender, receiver)) {
+    next(
+      new AppError(
+        "You can't send a teaching demand to an user that is not a teacher.",
+        400
+      )
+    );
+    return;
+  }
+
   const existingDemand = await TeachingDemand.findOne({
     sender,
     receiver,
@@ -128,12 +235,17 @@ exports.sendDemand = catchAsync(async (req, res, next) => {
     return;
   }
 
+  // The demands sent to a full teacher wait for a free place
+  const waitlisted = !(await hasFreeSeat(receiver));
+
   const newDemand = await TeachingDemand.create({
     sender,
     receiver,
     sent: Date.now(),
     accepted: false,
     cancelled: false,
+    waitlisted,
+    waitlistedAt: waitlisted ? Date.now() : undefined,
   });
 
   const teachingDemand = await TeachingDemand.findById(newDemand.id)
@@ -146,9 +258,37 @@ exports.sendDemand = catchAsync(async (req, res, next) => {
       select: '_id username',
     });
 
-  res.status(201).json({
+  const resObject = { status: 'success', data: { teachingDemand } };
+
+  if (waitlisted) {
+    const position = await getWaitlistPosition(newDemand);
+    resObject.message = `This teacher has no free place: your demand was added to the waitlist (position ${position}).`;
+    resObject.data.position = position;
+  }
+
+  res.status(201).json(resObject);
+});
+
+exports.getWaitlist = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+  } = req;
+
+  const teachingDemands = await TeachingDemand.find({
+    receiver: id,
+    waitlisted: true,
+    accepted: false,
+    cancelled: false,
+  })
+    .sort({ waitlistedAt: 1 })
+    .populate({
+      path: 'sender',
+      select: '_id username',
+    });
+
+  res.status(200).json({
     status: 'success',
-    data: { teachingDemand },
+    data: { teachingDemands },
   });
 });
 
@@ -177,11 +317,18 @@ exports.acceptDemand = catchAsync(async (req, res, next) => {
     return;
   }
 
+  if (!(await attachStudent(demand, demand.sender.valueOf(), receiver))) {
+    next(
+      new AppError('You have reached your maximum number of students.', 400)
+    );
+    return;
+  }
+
   const updatedDemand = await TeachingDemand.findOneAndUpdate(
     {
       _id: demand._id,
     },
-    { accepted: true },
+    { accepted: true, waitlisted: false },
     { new: true }
   )
     .populate({
@@ -193,27 +340,6 @@ exports.acceptDemand = catchAsync(async (req, res, next) => {
       select: '_id username',
     });
 
-  await TeachingDemand.updateMany(
-    {
-      $and: [{ sender: updatedDemand.sender }, { _id: { $ne: demand._id } }],
-    },
-    { cancelled: true }
-  );
-
-  await User.findByIdAndUpdate(updatedDemand.sender.valueOf(), {
-    supervisor: updatedDemand.receiver.valueOf(),
-  });
-
-  const supervisor = await User.findById(updatedDemand.receiver.valueOf());
-
-  const supervised = supervisor.supervised?.map(objId => objId.valueOf()) || [];
-
-  supervised.push(updatedDemand.sender.valueOf());
-
-  await User.findByIdAndUpdate(updatedDemand.receiver.valueOf(), {
-    supervised,
-  });
-
   res.status(200).json({
     status: 'success',
     data: { teachingDemand: updatedDemand },
@@ -1,46 +1,424 @@
 const sharp = require('sharp');
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
 const User = require('../models/userModel');
+const Role = require('../models/roleModel');
+const AuditLog = require('../models/auditLogModel');
+const TeachingDemand = require('../models/teachingDemandModel');
 const AppError = require('../utils/classes/AppError');
 const Email = require('../utils/classes/Email');
-const { TIMEOUTS, SOCKET_CONNECTIONS } = require('../utils/globals');
-const { catchAsync, uploadImage } = require('../utils/utils');
+const {
+  SOCKET_CONNECTIONS,
+  ACCOUNT_DELETION_DELAY,
+  IMPORT_ROWS_LIMIT,
+  IMPORT_FILE_MAX_SIZE,
+  IMPORT_CONCURRENCY,
+  PROVISIONABLE_ROLES,
+  PRIVACY_SETTINGS,
+  SEARCH_DEFAULT_LIMIT,
+  SEARCH_MAX_LIMIT,
+  SEARCH_SIMILARITY_THRESHOLD,
+} = require('../utils/globals');
+const {
+  catchAsync,
+  uploadImage,
+  uploadCsv,
+  handleDuplicateFieldsDB,
+  handleValidationErrorDB,
+  getSearchWords,
+  getSearchTrigrams,
+} = require('../utils/utils');
+const { scheduleJob } = require('../utils/services/jobs');
+const { deleteUserCascade } = require('../utils/services/userDeletion');
+const {
+  findSupervisor,
+  provisionUser,
+} = require('../utils/services/provisioning');
+const { promoteWaitlist } = require('../utils/services/supervision');
+const {
+  isAllowedBy,
+  getVisibleProfileFilter,
+} = require('../utils/services/privacy');
 const {
   getAll,
   queryOne,
   getOne,
   updateOne,
-  deleteOne,
 } = require('./handlers/handlerFactory');
 
-exports.getAllUsers = (req, res, next) => {
+exports.getAllUsers = catchAsync(async (req, res, next) => {
   // User without filtering
-  getAll(User, { role: { $ne: 'admin' }, _id: { $ne: req.user.id } })(
-    req,
-    res,
-    next
+  getAll(User, {
+    role: { $ne: 'admin' },
+    _id: {
+      $nin: [req.user.id, ...(await User.getBlockRelations(req.user.id))],
+    },
+    ...(await getVisibleProfileFilter(req.user)),
+  })(req, res, next);
+});
+
+exports.searchUsers = catchAsync(async (req, res, next) => {
+  const {
+    user: { id },
+    query: { q, page, limit },
+  } = req;
+
+  const words = getSearchWords(q);
+
+  if (words.length === 0) {
+    next(new AppError('Please provide a text to search.', 400));
+    return;
+  }
+
+  const trigrams = getSearchTrigrams(q);
+  const hiddenIds = [id, ...(await User.getBlockRelations(id))].map(
+    hiddenId => new mongoose.Types.ObjectId(hiddenId)
   );
-};
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || SEARCH_DEFAULT_LIMIT, 1),
+    SEARCH_MAX_LIMIT
+  );
+
+  // Every searched word must begin a name (prefix match) or the names must be similar enough (fuzzy match)
+  const [{ users, total }] = await User.aggregate([
+    {
+      $match: {
+        _id: { $nin: hiddenIds },
+        role: { $ne: 'admin' },
+        isDeleted: { $ne: true },
+        $or: [
+          { searchPrefixes: { $all: words } },
+          { searchTrigrams: { $in: trigrams } },
+        ],
+      },
+    },
+    { $match: await getVisibleProfileFilter(req.user) },
+    {
+      $addFields: {
+        prefixMatch: { $setIsSubset: [words, '$searchPrefixes'] },
+        similarity: {
+          $divide: [
+            { $size: { $setIntersection: ['$searchTrigrams', trigrams] } },
+            trigrams.length,
+          ],
+        },
+      },
+    },
+    {
+      $match: {
+        $or: [
+          { prefixMatch: true },
+          { similarity: { $gte: SEARCH_SIMILARITY_THRESHOLD } },
+        ],
+      },
+    },
+    { $sort: { prefixMatch: -1, similarity: -1, username: 1 } },
+    {
+      $facet: {
+        users: [
+          { $skip: (pageNumber - 1) * pageSize },
+          { $limit: pageSize },
+          {
+            $project: {
+              username: 1,
+              firstname: 1,
+              lastname: 1,
+              role: 1,
+              photo: 1,
+            },
+          },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+    {
+      $project: {
+        users: 1,
+        total: { $ifNull: [{ $first: '$total.count' }, 0] },
+      },
+    },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: users.length,
+    total,
+    page: pageNumber,
+    data: { users },
+  });
+});
+
+exports.updateTeacherProfile = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+    body,
+  } = req;
+
+  const user = await User.findById(id);
+
+  // Only the provided fields are replaced
+  const profile = user.teacherProfile?.toObject() || {};
+  ['subjects', 'languages', 'bio', 'availability', 'maxStudents'].forEach(
+    field => {
+      if (body[field] !== undefined) profile[field] = body[field];
+    }
+  );
+  user.teacherProfile = profile;
+
+  await user.save({ validateModifiedOnly: true });
+
+  // A higher capacity frees places for the waiting students
+  if (body.maxStudents !== undefined) await promoteWaitlist(id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { teacherProfile: user.teacherProfile },
+  });
+});
+
+exports.updatePrivacy = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+    body,
+  } = req;
+
+  const user = await User.findById(id);
+
+  // Only the provided settings are replaced
+  const privacy = user.privacy?.toObject() || {};
+  PRIVACY_SETTINGS.forEach(setting => {
+    if (body[setting] !== undefined) privacy[setting] = body[setting];
+  });
+  user.privacy = privacy;
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    status: 'success',
+    data: { privacy: user.privacy },
+  });
+});
 
 exports.queryUser = queryOne(User, { role: { $ne: 'admin' } });
 
 exports.getUser = getOne(User);
 
-exports.createUser = (_, res) => {
-  res
-    .status(500)
-    .json({ status: 'error', message: 'Please use /signup instead.' });
+const provisionableRoleError = () =>
+  new AppError(
+    `The role must be one of: ${PROVISIONABLE_ROLES.join(', ')}.`,
+    400
+  );
+
+exports.createUser = catchAsync(async (req, res, next) => {
+  const {
+    body: { supervisor: supervisorId, role },
+  } = req;
+
+  if (role && !PROVISIONABLE_ROLES.includes(role)) {
+    next(provisionableRoleError());
+    return;
+  }
+
+  const supervisor = supervisorId && (await findSupervisor(supervisorId));
+
+  if (supervisorId && !supervisor) {
+    next(new AppError('No teacher found with these details.', 404));
+    return;
+  }
+
+  const [user, emailSent, position] = await provisionUser(req.body, {
+    supervisor,
+    req,
+  });
+
+  const resObject = {
+    status: 'success',
+    message: emailSent
+      ? 'Account created. A link to choose a password was sent to the user.'
+      : 'Account created, but the e-mail could not be sent. The user can ask for a new link with the forgotten password form.',
+    data: { user },
+  };
+
+  if (position !== undefined) {
+    resObject.message += ` The teacher has no free place: the student was added to the waitlist (position ${position}).`;
+    resObject.data.position = position;
+  }
+
+  res.status(201).json(resObject);
+});
+
+exports.uploadUsersCsv = (req, res, next) => {
+  uploadCsv.single('file')(req, res, err => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      next(
+        new AppError(
+          `The CSV file must not exceed ${IMPORT_FILE_MAX_SIZE / 1024} KB.`,
+          413
+        )
+      );
+      return;
+    }
+    next(err);
+  });
 };
 
+// A value repeated in the file is only kept for its first row
+const findDuplicates = rows => {
+  const firstRows = new Map();
+
+  return rows.map(({ username, email }, index) => {
+    let duplicate;
+
+    [`${username || ''}`, `${email || ''}`.toLowerCase()].forEach(value => {
+      if (!value) return;
+
+      if (!firstRows.has(value)) firstRows.set(value, index + 2);
+      else if (!duplicate)
+        duplicate = `Duplicate field value: "${value}" (already used on the row ${firstRows.get(
+          value
+        )}).`;
+    });
+
+    return duplicate;
+  });
+};
+
+// Each row is imported independently, so that the valid rows are created even if others fail
+const importRow = async (row, index, duplicate, options) => {
+  // The first line contains the column names
+  const result = { row: index + 2 };
+
+  try {
+    if (duplicate) throw new AppError(duplicate, 400);
+
+    if (row.role && !PROVISIONABLE_ROLES.includes(row.role))
+      throw provisionableRoleError();
+
+    const [user, emailSent, position] = await provisionUser(row, options);
+
+    result.status = 'created';
+    result.user = {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+    };
+    result.emailSent = emailSent;
+    if (position !== undefined) result.position = position;
+  } catch (err) {
+    let error = err;
+    if (err.code === 11000) error = handleDuplicateFieldsDB(err);
+    if (err.name === 'ValidationError') error = handleValidationErrorDB(err);
+    if (!error.isOperational) throw err;
+
+    result.status = 'failed';
+    result.message = error.message;
+    if (error.fields) result.fields = error.fields;
+  }
+
+  return result;
+};
+
+exports.importUsers = catchAsync(async (req, res, next) => {
+  const {
+    file,
+    body: { supervisor: supervisorId },
+  } = req;
+
+  if (!file) {
+    next(new AppError('Please upload a CSV file.', 400));
+    return;
+  }
+
+  let rows;
+  try {
+    rows = parse(file.buffer, {
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+      // One more row than the limit is enough to know that it is exceeded
+      to: IMPORT_ROWS_LIMIT + 1,
+    });
+  } catch (err) {
+    next(new AppError(`The CSV file could not be read: ${err.message}`, 400));
+    return;
+  }
+
+  if (rows.length === 0 || rows.length > IMPORT_ROWS_LIMIT) {
+    next(
+      new AppError(
+        `The CSV file must contain between 1 and ${IMPORT_ROWS_LIMIT} users.`,
+        400
+      )
+    );
+    return;
+  }
+
+  const supervisor = supervisorId && (await findSupervisor(supervisorId));
+
+  if (supervisorId && !supervisor) {
+    next(new AppError('No teacher found with these details.', 404));
+    return;
+  }
+
+  const duplicates = findDuplicates(rows);
+
+  // The rows of a chunk are created in parallel, the chunks one after the other to bound the load
+  const results = [];
+  for (let start = 0; start < rows.length; start += IMPORT_CONCURRENCY) {
+    const chunk = rows.slice(start, start + IMPORT_CONCURRENCY);
+
+    results.push(
+      ...(await Promise.all(
+        chunk.map((row, index) =>
+          importRow(row, start + index, duplicates[start + index], {
+            supervisor,
+            req,
+          })
+        )
+      ))
+    );
+  }
+
+  const created = results.filter(({ status }) => status === 'created').length;
+
+  res.status(200).json({
+    status: 'success',
+    data: { created, failed: results.length - created, results },
+  });
+});
+
 exports.updateUser = updateOne(User);
 
-exports.deleteUser = deleteOne(User);
+exports.deleteUser = catchAsync(async (req, res) => {
+  const { document: user } = req;
 
-exports.queryMe = (req, res, next) => {
+  const report = await deleteUserCascade(user._id);
+
+  await AuditLog.record('accountDeleted', {
+    user: user._id,
+    actor: req.user._id,
+    req,
+    details: { permanent: true, report },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User successfully deleted.',
+    data: { report },
+  });
+});
+
+exports.queryMe = catchAsync(async (req, res, next) => {
   req.params.id = req.user.id;
 
+  // The users who can ask a teacher to supervise them see their supervisor
+  const policy = await Role.getPolicy(req.user.role);
+
   let popOptions = undefined;
   let selectOptions = undefined;
-  if (req.user.role === 'student') {
+  if (policy.hasPermission('teaching-demands.send')) {
     popOptions = {
       path: 'supervisor',
       select: '_id username',
@@ -50,28 +428,30 @@ exports.queryMe = (req, res, next) => {
 
   // User without filtering
   queryOne(User, {}, popOptions, selectOptions)(req, res, next);
-};
+});
 
 exports.deleteMe = catchAsync(async (req, res, next) => {
   const { user } = req;
   const { id } = user;
-  const updatedUser = await User.findByIdAndUpdate(id, {
+  await User.findByIdAndUpdate(id, {
     isDeleted: true,
     deletedAt: Date.now(),
   });
 
   await new Email(user, '').sendAccountDelete();
 
-  const deleteTimeout = setTimeout(async () => {
-    console.log(`Delete user ${id} : Definitive deletion time expired.`);
-    const deleted = await User.findByIdAndDelete(id, {
-      disableMiddlewares: true,
-    });
-    TIMEOUTS[id] = undefined;
-    await new Email(updatedUser, '').sendPermanentDelete();
-  }, 90 * 24 * 60 * 60 * 1000);
+  await scheduleJob(
+    'permanentDeleteUser',
+    id,
+    Date.now() + ACCOUNT_DELETION_DELAY
+  );
+
+  await AuditLog.record('accountDeleted', {
+    user: id,
+    req,
+    details: { permanent: false },
+  });
 
-  TIMEOUTS[id] = deleteTimeout;
   res.status(204).json({
     status: 'success',
     data: null,
@@ -100,10 +480,31 @@ exports.setRole = catchAsync(async (req, res, next) => {
     }
   );
 
+  await AuditLog.record('roleChanged', {
+    user: user._id,
+    actor: req.user._id,
+    req,
+    details: { from: user.role, to: updatedUser.role },
+  });
+
   // 3) Send the updated User
   res.status(200).json({ status: 'success', data: { user: updatedUser } });
 });
 
+exports.unlockUser = catchAsync(async (req, res) => {
+  const { document: user } = req;
+
+  user.resetLoginAttempts();
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account successfully unlocked.',
+    data: null,
+  });
+});
+
 exports.uploadUserPhoto = uploadImage.single('photo');
 
 exports.resizeUserPhoto = catchAsync(async (req, res, next) => {
@@ -227,7 +628,7 @@ exports.sendInvitation = catchAsync(async (req, res, next) => {
 
   const otherUser = await User.findOne({
     _id: userId,
-    role: { $ne: 'admin' },
+    role: { $nin: ['admin', 'guardian'] },
   }).select('invitations');
 
   if (!otherUser) {
@@ -235,11 +636,25 @@ exports.sendInvitation = catchAsync(async (req, res, next) => {
     return;
   }
 
+  if (!(await isAllowedBy(userId, req.user, 'invitations'))) {
+    next(
+      new AppError(
+        "This user doesn't accept contact invitations from you.",
+        403
+      )
+    );
+    return;
+  }
+
   const { invitations: invitationsVal } = otherUser;
 
   let invitations = invitationsVal?.map(it => it.valueOf());
 
-  if (invitations?.findIndex(sender => sender === id) !== -1) {
+  // The invitation is silently dropped, so that the block isn't revealed
+  if (
+    invitations?.findIndex(sender => sender === id) !== -1 ||
+    (await User.isBlockedBetween(id, userId))
+  ) {
     res.status(200).json({
       status: 'success',
       message: 'Contact invitation successfully sent.',
@@ -272,7 +687,7 @@ exports.addContact = catchAsync(async (req, res, next) => {
 
   const otherUser = await User.findOne({
     _id: contactId,
-    role: { $ne: 'admin' },
+    role: { $nin: ['admin', 'guardian'] },
   }).select('contacts');
 
   if (!otherUser) {
@@ -380,6 +795,87 @@ exports.deleteContact = catchAsync(async (req, res, next) => {
   });
 });
 
+exports.getBlockedUsers = catchAsync(async (req, res) => {
+  const {
+    user: { id },
+  } = req;
+
+  const { blocked } = await User.findById(id).select('blocked').populate({
+    path: 'blocked',
+    select: 'username firstname lastname photo',
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { users: blocked || [] },
+  });
+});
+
+exports.blockUser = catchAsync(async (req, res, next) => {
+  const {
+    params: { userId },
+    user: { id },
+  } = req;
+
+  if (userId === id) {
+    next(new AppError("You can't block yourself.", 400));
+    return;
+  }
+
+  const otherUser = await User.findOne({
+    _id: userId,
+    role: { $ne: 'admin' },
+  });
+
+  if (!otherUser) {
+    next(new AppError('No user found with that ID.', 404));
+    return;
+  }
+
+  // The relations between the two users are removed on both sides
+  await User.findByIdAndUpdate(id, {
+    $addToSet: { blocked: userId },
+    $pull: { contacts: userId, invitations: userId },
+  });
+
+  await User.findByIdAndUpdate(userId, {
+    $pull: { contacts: id, invitations: id },
+  });
+
+  await TeachingDemand.updateMany(
+    {
+      $or: [
+        { sender: id, receiver: userId },
+        { sender: userId, receiver: id },
+      ],
+      accepted: false,
+      cancelled: false,
+    },
+    { cancelled: true, waitlisted: false }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User successfully blocked.',
+    data: null,
+  });
+});
+
+exports.unblockUser = catchAsync(async (req, res) => {
+  const {
+    params: { userId },
+    user: { id },
+  } = req;
+
+  await User.findByIdAndUpdate(id, { $pull: { blocked: userId } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User successfully unblocked.',
+    data: null,
+  });
+});
+
 exports.getSupervisedStudents = catchAsync(async (req, res, next) => {
   const {
     user: { id },
@@ -400,9 +896,16 @@ exports.getSupervisedStudents = catchAsync(async (req, res, next) => {
   });
 });
 
-exports.getConnectionStatus = catchAsync(async (req, res) => {
+exports.getConnectionStatus = catchAsync(async (req, res, next) => {
   const { document: user } = req;
 
+  if (!(await isAllowedBy(user._id, req.user, 'onlineStatus'))) {
+    next(
+      new AppError("This user doesn't share the online status with you.", 403)
+    );
+    return;
+  }
+
   const socketUser = SOCKET_CONNECTIONS.find(id => id === user._id.valueOf());
 
   res.status(200).json({
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { API_TOKEN_SCOPES } = require('../utils/globals');
+
+const apiTokenSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+    required: [true, 'Please provide a name for your token.'],
+    maxLength: [50, 'A token name must have at most 50 characters.'],
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  scopes: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: API_TOKEN_SCOPES,
+          message: 'Unknown scope: {VALUE}.',
+        },
+      },
+    ],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Please provide at least one scope.',
+    },
+  },
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: date => date.getTime() > Date.now(),
+      message: 'The expiration date must be in the future.',
+    },
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+apiTokenSchema.index({ user: 1 });
+
+// MongoDB removes the expired tokens by itself (tokens without expiration are kept)
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// GET requests need the read scope of the resource, the other ones the write scope
+apiTokenSchema.methods.allows = function (resource, method) {
+  const access = ['GET', 'HEAD'].includes(method) ? 'read' : 'write';
+
+  return this.scopes.includes(`${resource}:${access}`);
+};
+
+const ApiToken = mongoose.model('Api_token', apiTokenSchema);
+
+module.exports = ApiToken;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { AUDIT_EVENTS } = require('../utils/globals');
+
+const auditLogSchema = mongoose.Schema({
+  event: {
+    type: String,
+    enum: AUDIT_EVENTS,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+auditLogSchema.index({ event: 1, createdAt: -1 });
+
+// The entries can only be added, never modified or removed
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove',
+  ],
+  function (next) {
+    next(new Error('The audit log is append-only.'));
+  }
+);
+
+// The actor is the user himself, unless an admin acts on his account (or null for the system)
+auditLogSchema.statics.record = async function (
+  event,
+  { user, actor, req, details } = {}
+) {
+  await this.create({
+    event,
+    user,
+    actor: actor === undefined ? user : actor,
+    ip: req?.ip,
+    userAgent: req?.get('User-Agent'),
+    details,
+  });
+};
+
+const AuditLog = mongoose.model('Audit_log', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'pending',
+  },
+  token: {
+    type: String,
+    select: false,
+  },
+  file: {
+    type: String,
+    select: false,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+dataExportSchema.index({ token: 1 });
+
+dataExportSchema.index({ user: 1, status: 1 });
+
+const DataExport = mongoose.model('Data_export', dataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ENROLLMENT_CODE_LENGTH } = require('../utils/globals');
+
+// Without the characters that are easily mistaken for each other (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateCode = () =>
+  Array.from(
+    crypto.randomBytes(ENROLLMENT_CODE_LENGTH),
+    byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join('');
+
+const enrollmentCodeSchema = mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  code: {
+    type: String,
+    unique: true,
+    default: generateCode,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please provide the expiration date of the code.'],
+    validate: {
+      validator: function (value) {
+        return value > Date.now();
+      },
+      message: 'The expiration date must be in the future.',
+    },
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'A code must be usable at least once.'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'The maximum number of uses must be an integer.',
+    },
+  },
+  uses: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+enrollmentCodeSchema.index({ teacher: 1 });
+
+// MongoDB removes the code by itself once it has expired
+enrollmentCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a use of the code atomically, so that the usage cap can't be exceeded
+enrollmentCodeSchema.statics.redeem = async function (code) {
+  return await this.findOneAndUpdate(
+    {
+      code: code.trim().toUpperCase(),
+      expiresAt: { $gt: Date.now() },
+      $or: [
+        { maxUses: { $exists: false } },
+        { maxUses: null },
+        { $expr: { $lt: ['$uses', '$maxUses'] } },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+enrollmentCodeSchema.statics.release = async function (enrollmentCode) {
+  await this.findByIdAndUpdate(enrollmentCode._id, { $inc: { uses: -1 } });
+};
+
+const EnrollmentCode = mongoose.model('Enrollment_code', enrollmentCodeSchema);
+
+module.exports = EnrollmentCode;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const guardianshipSchema = mongoose.Schema({
+  sent: {
+    type: Date,
+    default: Date.now,
+  },
+  guardian: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  accepted: {
+    type: Boolean,
+    default: false,
+    required: true,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  cancelled: {
+    type: Boolean,
+    default: false,
+    required: true,
+  },
+});
+
+guardianshipSchema.index({ guardian: 1, student: 1 });
+
+guardianshipSchema.index({ student: 1 });
+
+const Guardianship = mongoose.model('Guardianship', guardianshipSchema);
+
+module.exports = Guardianship;
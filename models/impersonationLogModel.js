@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const impersonationLogSchema = mongoose.Schema({
+  impersonator: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  statusCode: {
+    type: Number,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+impersonationLogSchema.index({ impersonator: 1, createdAt: -1 });
+
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+
+// The audit trail can't be modified once written
+impersonationLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'],
+  function (next) {
+    next(new Error('The impersonation logs are read-only.'));
+  }
+);
+
+impersonationLogSchema.statics.record = async function (
+  impersonator,
+  user,
+  req,
+  statusCode
+) {
+  await this.create({
+    impersonator,
+    user,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode,
+    ip: req.ip,
+  });
+};
+
+const ImpersonationLog = mongoose.model(
+  'Impersonation_log',
+  impersonationLogSchema
+);
+
+module.exports = ImpersonationLog;
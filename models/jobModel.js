@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const jobSchema = mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'purgeUnconfirmedUser',
+      'permanentDeleteUser',
+      'exportUserData',
+      'deleteDataExport',
+    ],
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Id of the document handled by the job, when the user can have several jobs of the same type
+  key: {
+    type: String,
+  },
+  runAt: {
+    type: Date,
+    required: true,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobSchema.index({ runAt: 1 });
+
+jobSchema.index({ user: 1, type: 1, key: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const {
+  IP_LOGIN_FAILURES_LIMIT,
+  ACCOUNT_LOGIN_FAILURES_LIMIT,
+  IP_LOGIN_FAILURES_WINDOW,
+} = require('../utils/globals');
+
+const loginFailureSchema = mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // The failures for each tried account, by hash of the username or e-mail address
+  accounts: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// The failures of an IP address are forgotten once the window has expired
+loginFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashAccount = account =>
+  crypto
+    .createHash('sha256')
+    .update(String(account).trim().toLowerCase())
+    .digest('hex');
+
+loginFailureSchema.statics.isBlocked = async function (ip, account) {
+  const failure = await this.findOne({ ip, expiresAt: { $gt: Date.now() } });
+
+  if (!failure) return false;
+
+  const accountCount = account
+    ? failure.accounts?.get(hashAccount(account)) || 0
+    : 0;
+
+  // Read at each check, since the environment is loaded after the models
+  const ipLimit =
+    Number(process.env.IP_LOGIN_FAILURES_LIMIT) || IP_LOGIN_FAILURES_LIMIT;
+
+  return (
+    failure.count >= ipLimit || accountCount >= ACCOUNT_LOGIN_FAILURES_LIMIT
+  );
+};
+
+loginFailureSchema.statics.register = async function (ip, account) {
+  const increments = { count: 1 };
+  if (account) increments[`accounts.${hashAccount(account)}`] = 1;
+
+  await this.findOneAndUpdate(
+    { ip },
+    {
+      $inc: increments,
+      $setOnInsert: { expiresAt: Date.now() + IP_LOGIN_FAILURES_WINDOW },
+    },
+    { upsert: true }
+  );
+};
+
+const LoginFailure = mongoose.model('Login_failure', loginFailureSchema);
+
+module.exports = LoginFailure;
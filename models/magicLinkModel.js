@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { MAGIC_LINK_LOG_RETENTION } = require('../utils/globals');
+
+// Every requested link is kept as a log of the passwordless logins
+const magicLinkSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  token: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  requestIp: {
+    type: String,
+    trim: true,
+  },
+  requestUserAgent: {
+    type: String,
+    trim: true,
+  },
+  usedAt: {
+    type: Date,
+  },
+  usedIp: {
+    type: String,
+    trim: true,
+  },
+  usedUserAgent: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+magicLinkSchema.index({ token: 1 });
+
+magicLinkSchema.index({ user: 1 });
+
+magicLinkSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: MAGIC_LINK_LOG_RETENTION / 1000 }
+);
+
+// Mark the link as used, so that it can't be used a second time
+magicLinkSchema.statics.consume = async function (token, req) {
+  return await this.findOneAndUpdate(
+    {
+      token,
+      expiresAt: { $gt: Date.now() },
+      usedAt: { $exists: false },
+    },
+    {
+      usedAt: Date.now(),
+      usedIp: req.ip,
+      usedUserAgent: req.get('User-Agent'),
+    },
+    { new: true }
+  );
+};
+
+const MagicLink = mongoose.model('Magic_link', magicLinkSchema);
+
+module.exports = MagicLink;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// The token would be rejected anyway once it has expired, so it is forgotten
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+revokedTokenSchema.statics.revoke = async function (decoded) {
+  await this.findOneAndUpdate(
+    { jti: decoded.jti },
+    { user: decoded.id, expiresAt: new Date(decoded.exp * 1000) },
+    { upsert: true }
+  );
+};
+
+revokedTokenSchema.statics.isRevoked = async function (jti) {
+  return !!(await this.exists({ jti }));
+};
+
+const RevokedToken = mongoose.model('Revoked_token', revokedTokenSchema);
+
+module.exports = RevokedToken;
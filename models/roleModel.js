@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+} = require('../utils/globals');
+
+const roleSchema = mongoose.Schema({
+  name: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    unique: true,
+  },
+  twoFactorRequired: {
+    type: Boolean,
+    default: false,
+  },
+  magicLinkEnabled: {
+    type: Boolean,
+    default: true,
+  },
+  permissions: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: PERMISSIONS,
+          message: 'Unknown permission: {VALUE}.',
+        },
+      },
+    ],
+    default: undefined,
+  },
+});
+
+// Roles without a stored policy (or permissions) use the default values
+roleSchema.statics.getPolicy = async function (name) {
+  const role = (await this.findOne({ name })) || new this({ name });
+
+  if (!role.permissions) role.permissions = DEFAULT_ROLE_PERMISSIONS[name];
+
+  return role;
+};
+
+roleSchema.methods.hasPermission = function (permission) {
+  return this.permissions.includes(permission);
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  refreshToken: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // The refresh token replaced by the last rotation, which mustn't be presented again
+  previousRefreshToken: {
+    type: String,
+    select: false,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+sessionSchema.index({ user: 1 });
+
+sessionSchema.index({ refreshToken: 1 });
+
+sessionSchema.index({ previousRefreshToken: 1 }, { sparse: true });
+
+// MongoDB removes the session by itself once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
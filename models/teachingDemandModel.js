@@ -25,8 +25,18 @@ const teachingDemandSchema = mongoose.Schema({
     default: false,
     required: true,
   },
+  waitlisted: {
+    type: Boolean,
+    default: false,
+  },
+  waitlistedAt: {
+    type: Date,
+  },
 });
 
+// The waitlist of a teacher is ordered by the waiting time
+teachingDemandSchema.index({ receiver: 1, waitlisted: 1, waitlistedAt: 1 });
+
 const TeachingDemand = mongoose.model('Teaching_demand', teachingDemandSchema);
 
 module.exports = TeachingDemand;
@@ -1,11 +1,155 @@
 const mongoose = require('mongoose');
-const { isEmail } = require('validator');
+const { isEmail, isISO6391 } = require('validator');
 const bcrypt = require('bcryptjs');
-const { createLinkToken } = require('../utils/utils');
-const { PASSWORD_VALIDATOR } = require('../utils/globals');
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const {
+  createLinkToken,
+  getSearchPrefixes,
+  getSearchTrigrams,
+} = require('../utils/utils');
+const {
+  PASSWORD_VALIDATOR,
+  ROLES,
+  TWO_FACTOR_ISSUER,
+  RECOVERY_CODES_NUMBER,
+  LOGIN_DELAY_THRESHOLD,
+  LOGIN_LOCK_THRESHOLD,
+  LOGIN_LOCK_DURATION,
+  PASSWORD_HISTORY_LENGTH,
+  KNOWN_DEVICES_LIMIT,
+  LOGIN_ALERT_EXPIRES_IN,
+  TEACHING_LEVELS,
+  TEACHER_BIO_MAX_LENGTH,
+  WEEK_DAYS,
+  PRIVACY_LEVELS,
+} = require('../utils/globals');
+const Session = require('./sessionModel');
 
 const validatePassword = value => PASSWORD_VALIDATOR.validate(value);
 
+const hashRecoveryCode = code =>
+  crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+// The devices and IP addresses are only stored as hashes
+const hashDeviceValue = value =>
+  crypto
+    .createHash('sha256')
+    .update(value || '')
+    .digest('hex');
+
+// Accept the codes of the previous and next 30 s periods to tolerate clock drifts
+authenticator.options = { window: 1 };
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const teacherProfileSchema = new mongoose.Schema(
+  {
+    subjects: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: [true, 'Please provide the name of the subject.'],
+          trim: true,
+          lowercase: true,
+        },
+        levels: {
+          type: [
+            {
+              type: String,
+              enum: {
+                values: TEACHING_LEVELS,
+                message: 'Unknown teaching level: {VALUE}.',
+              },
+            },
+          ],
+        },
+      },
+    ],
+    languages: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          validate: [
+            isISO6391,
+            'Please provide the languages as ISO 639-1 codes (e.g. fr).',
+          ],
+        },
+      ],
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [
+        TEACHER_BIO_MAX_LENGTH,
+        `The bio must contain at most ${TEACHER_BIO_MAX_LENGTH} characters.`,
+      ],
+    },
+    availability: [
+      {
+        _id: false,
+        day: {
+          type: String,
+          required: [true, 'Please provide the day of the availability.'],
+          enum: {
+            values: WEEK_DAYS,
+            message: 'Unknown day: {VALUE}.',
+          },
+        },
+        start: {
+          type: String,
+          required: [true, 'Please provide the start time (HH:mm).'],
+          match: [TIME_REGEX, 'Please provide the start time as HH:mm.'],
+        },
+        end: {
+          type: String,
+          required: [true, 'Please provide the end time (HH:mm).'],
+          match: [TIME_REGEX, 'Please provide the end time as HH:mm.'],
+          validate: {
+            validator: function (value) {
+              return value > this.start;
+            },
+            message: 'The end time must be after the start time.',
+          },
+        },
+      },
+    ],
+    maxStudents: {
+      type: Number,
+      min: [1, 'A teacher must accept at least one student.'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'The maximum number of students must be an integer.',
+      },
+    },
+  },
+  { _id: false }
+);
+
+const privacyLevel = setting => ({
+  type: String,
+  enum: {
+    values: PRIVACY_LEVELS,
+    message: `The ${setting} setting must be one of: ${PRIVACY_LEVELS.join(
+      ', '
+    )}.`,
+  },
+  default: 'everyone',
+});
+
+const privacySchema = new mongoose.Schema(
+  {
+    messages: privacyLevel('messages'),
+    invitations: privacyLevel('invitations'),
+    profile: privacyLevel('profile'),
+    onlineStatus: privacyLevel('onlineStatus'),
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -59,7 +203,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'teacher', 'student'],
+    enum: ROLES,
     default: 'student',
   },
   isConfirmed: {
@@ -89,6 +233,20 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false,
   },
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    select: false,
+  },
+  emailChangeToken: {
+    type: String,
+    select: false,
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false,
+  },
   passwordChangedAt: {
     type: Date,
     select: false,
@@ -101,6 +259,55 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false,
   },
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+    select: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  lastFailedLogin: {
+    type: Date,
+    select: false,
+  },
+  lockUntil: {
+    type: Date,
+    select: false,
+  },
+  knownUserAgents: {
+    type: [String],
+    select: false,
+  },
+  knownIps: {
+    type: [String],
+    select: false,
+  },
+  // One token per alert, so that each of the alerts sent can be reported
+  loginAlerts: {
+    type: [
+      {
+        _id: false,
+        token: String,
+        expiresAt: Date,
+      },
+    ],
+    select: false,
+  },
   contacts: [
     {
       type: mongoose.Schema.ObjectId,
@@ -115,6 +322,13 @@ const userSchema = new mongoose.Schema({
       select: false,
     },
   ],
+  blocked: [
+    {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      select: false,
+    },
+  ],
   supervisor: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
@@ -129,12 +343,83 @@ const userSchema = new mongoose.Schema({
     ],
     select: false,
   },
+  teacherProfile: teacherProfileSchema,
+  privacy: {
+    type: privacySchema,
+    default: () => ({}),
+  },
+  searchPrefixes: {
+    type: [String],
+    select: false,
+  },
+  searchTrigrams: {
+    type: [String],
+    select: false,
+  },
+});
+
+userSchema.index({ searchPrefixes: 1 });
+
+userSchema.index({ searchTrigrams: 1 });
+
+userSchema.index({ blocked: 1 });
+
+const SEARCH_FIELDS = ['username', 'firstname', 'lastname'];
+
+const buildSearchFields = user => {
+  const text = SEARCH_FIELDS.map(field => user[field]).join(' ');
+
+  return {
+    searchPrefixes: getSearchPrefixes(text),
+    searchTrigrams: getSearchTrigrams(text),
+  };
+};
+
+userSchema.pre('save', function (next) {
+  if (this.isNew || SEARCH_FIELDS.some(field => this.isModified(field)))
+    this.set(buildSearchFields(this));
+
+  next();
+});
+
+// The updates only contain the modified names, the other ones are read from the document
+userSchema.pre('findOneAndUpdate', async function (next) {
+  const update = this.getUpdate();
+  const values = { ...update, ...update.$set };
+
+  if (!SEARCH_FIELDS.some(field => values[field] !== undefined)) {
+    next();
+    return;
+  }
+
+  const user = await this.model
+    .findOne(this.getQuery(), null, { disableMiddlewares: true })
+    .select(SEARCH_FIELDS.join(' '));
+
+  if (user)
+    this.set(
+      buildSearchFields(
+        Object.fromEntries(
+          SEARCH_FIELDS.map(field => [field, values[field] ?? user[field]])
+        )
+      )
+    );
+
+  next();
 });
 
 userSchema.pre('save', async function (next) {
-  if (this.password && this.isModified('password'))
+  if (this.password && this.isModified('password')) {
     this.password = await bcrypt.hash(this.password, 12);
 
+    // The history is only updated if it was loaded, otherwise it would be overwritten
+    if (this.isNew || this.isSelected('passwordHistory'))
+      this.passwordHistory = [
+        this.password,
+        ...(this.passwordHistory || []),
+      ].slice(0, PASSWORD_HISTORY_LENGTH);
+  }
+
   this.passwordConfirm = undefined;
 
   next();
@@ -148,6 +433,9 @@ userSchema.pre('save', async function (next) {
 
   this.passwordChangedAt = Date.now() - 1000; // 1 s in past ensures the token was always created after the password has been changed
 
+  // Sign out every device : the refresh tokens can't be used anymore
+  await Session.deleteMany({ user: this._id });
+
   next();
 });
 
@@ -166,6 +454,16 @@ userSchema.methods.createConfirmToken = function () {
   return confirmToken;
 };
 
+userSchema.methods.createEmailChangeToken = function (email) {
+  const [emailToken, hashedEmailToken] = createLinkToken();
+  this.pendingEmail = email;
+  this.emailChangeToken = hashedEmailToken;
+
+  this.emailChangeExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+  return emailToken;
+};
+
 userSchema.methods.createPasswordResetToken = function () {
   const [resetToken, hashedResetToken] = createLinkToken();
   this.passwordResetToken = hashedResetToken;
@@ -175,6 +473,144 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+userSchema.methods.createTwoFactorSecret = function () {
+  this.twoFactorSecret = authenticator.generateSecret();
+
+  return authenticator.keyuri(
+    this.username,
+    TWO_FACTOR_ISSUER,
+    this.twoFactorSecret
+  );
+};
+
+userSchema.methods.correctTwoFactorCode = function (code) {
+  if (!this.twoFactorSecret || !code) return false;
+
+  return authenticator.verify({
+    token: `${code}`.replace(/\s/g, ''),
+    secret: this.twoFactorSecret,
+  });
+};
+
+userSchema.methods.createRecoveryCodes = function () {
+  const recoveryCodes = Array.from({ length: RECOVERY_CODES_NUMBER }, () =>
+    crypto
+      .randomBytes(5)
+      .toString('hex')
+      .replace(/^(.{5})/, '$1-')
+  );
+
+  this.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+
+  return recoveryCodes;
+};
+
+// A recovery code can only be used once
+userSchema.methods.useRecoveryCode = function (code) {
+  if (!code) return false;
+
+  const hashedCode = hashRecoveryCode(`${code}`);
+  const index = this.twoFactorRecoveryCodes?.indexOf(hashedCode) ?? -1;
+
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+
+  return true;
+};
+
+userSchema.methods.isLocked = function () {
+  return this.lockUntil ? this.lockUntil.getTime() > Date.now() : false;
+};
+
+// Time to wait before the next login attempt, doubling after each failure above the threshold
+userSchema.methods.getLoginDelay = function () {
+  if (!this.lastFailedLogin || this.failedLoginAttempts < LOGIN_DELAY_THRESHOLD)
+    return 0;
+
+  const delay = 1000 * 2 ** (this.failedLoginAttempts - LOGIN_DELAY_THRESHOLD);
+
+  return Math.max(this.lastFailedLogin.getTime() + delay - Date.now(), 0);
+};
+
+// Atomic, so that parallel failures are all counted. Returns the end of the lock if the failure locked the account
+userSchema.statics.registerFailedLogin = async function (userId) {
+  await this.findByIdAndUpdate(userId, {
+    $inc: { failedLoginAttempts: 1 },
+    lastFailedLogin: Date.now(),
+  });
+
+  // Only one of the parallel failures reaching the threshold finds the attempts not reset yet
+  const lockedUser = await this.findOneAndUpdate(
+    { _id: userId, failedLoginAttempts: { $gte: LOGIN_LOCK_THRESHOLD } },
+    { failedLoginAttempts: 0, lockUntil: Date.now() + LOGIN_LOCK_DURATION },
+    { new: true }
+  ).select('+lockUntil');
+
+  return lockedUser?.lockUntil;
+};
+
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLogin = undefined;
+  this.lockUntil = undefined;
+};
+
+// Remember the device of a successful login, returns true if it wasn't known
+userSchema.methods.registerDevice = function (userAgent, ip) {
+  // Without the known devices, they would be overwritten by the current one
+  if (!this.isSelected('knownUserAgents') || !this.isSelected('knownIps'))
+    return false;
+
+  const userAgentHash = hashDeviceValue(userAgent);
+  const ipHash = hashDeviceValue(ip);
+  const knownUserAgents = this.knownUserAgents || [];
+  const knownIps = this.knownIps || [];
+
+  // The first login of an account can't be compared to anything
+  const newDevice =
+    knownUserAgents.length > 0 &&
+    (!knownUserAgents.includes(userAgentHash) || !knownIps.includes(ipHash));
+
+  this.knownUserAgents = [
+    userAgentHash,
+    ...knownUserAgents.filter(hash => hash !== userAgentHash),
+  ].slice(0, KNOWN_DEVICES_LIMIT);
+  this.knownIps = [ipHash, ...knownIps.filter(hash => hash !== ipHash)].slice(
+    0,
+    KNOWN_DEVICES_LIMIT
+  );
+
+  return newDevice;
+};
+
+// The loginAlerts must be selected
+userSchema.methods.createLoginAlertToken = function () {
+  const [alertToken, hashedAlertToken] = createLinkToken();
+
+  this.loginAlerts = (this.loginAlerts || [])
+    .filter(({ expiresAt }) => expiresAt > Date.now())
+    .concat({
+      token: hashedAlertToken,
+      expiresAt: Date.now() + LOGIN_ALERT_EXPIRES_IN,
+    });
+
+  return alertToken;
+};
+
+// The current password and the history must be selected
+userSchema.methods.isPasswordReused = async function (candidatePassword) {
+  const hashes = new Set(
+    [this.password, ...(this.passwordHistory || [])].filter(hash => hash)
+  );
+
+  const matches = await Promise.all(
+    [...hashes].map(hash => bcrypt.compare(candidatePassword, hash))
+  );
+
+  return matches.includes(true);
+};
+
 userSchema.methods.correctPassword = async (candidatePassword, userPassword) =>
   await bcrypt.compare(candidatePassword, userPassword);
 
@@ -190,6 +626,53 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   return false;
 };
 
+// Fill the search fields of the users created before the search was available
+userSchema.statics.syncSearchFields = async function () {
+  const users = await this.find({ searchPrefixes: { $exists: false } }, null, {
+    disableMiddlewares: true,
+  }).select(SEARCH_FIELDS.join(' '));
+
+  if (users.length === 0) return 0;
+
+  await this.bulkWrite(
+    users.map(user => ({
+      updateOne: { filter: { _id: user._id }, update: buildSearchFields(user) },
+    }))
+  );
+
+  return users.length;
+};
+
+// Ids of the users blocked by the user and of the users having blocked him
+userSchema.statics.getBlockRelations = async function (userId) {
+  const [user, blockers] = await Promise.all([
+    this.findById(userId, null, { disableMiddlewares: true }).select(
+      '+blocked'
+    ),
+    this.find({ blocked: userId }, null, { disableMiddlewares: true }).select(
+      '_id'
+    ),
+  ]);
+
+  return [
+    ...new Set([
+      ...(user?.blocked || []).map(id => id.valueOf()),
+      ...blockers.map(blocker => blocker._id.valueOf()),
+    ]),
+  ];
+};
+
+userSchema.statics.isBlockedBetween = async function (firstId, secondId) {
+  const relation = await this.exists({
+    $or: [
+      { _id: firstId, blocked: secondId },
+      { _id: secondId, blocked: firstId },
+    ],
+  }).setOptions({ disableMiddlewares: true });
+
+  return !!relation;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,185 @@
+const express = require('express');
+const {
+  protect,
+  requirePermission,
+} = require('../../controllers/authController');
+const { getAllAuditLogs } = require('../../controllers/auditLogController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the audit log entry
+ *           example: 6458f6a5b7c8d9e0f1a2b3c4
+ *         event:
+ *           type: string
+ *           description: The recorded event
+ *           enum: [login, loginFailed, accountLocked, passwordChanged, passwordReset, roleChanged, accountDeleted, accountReactivated, loginReported, accountCreated, dataExportRequested, dataExportDownloaded, refreshTokenReused]
+ *           example: roleChanged
+ *         user:
+ *           type: string
+ *           description: The id of the account concerned by the event (missing for the failed logins with an unknown account)
+ *           example: 642c38f3b7ed1dbd25858e9e
+ *         actor:
+ *           type: string
+ *           description: The id of the user who performed the action (null for the automatic actions of the application)
+ *           example: 642c38f3b7ed1dbd25858e9a
+ *         ip:
+ *           type: string
+ *           description: The IP address of the request
+ *           example: 193.134.220.11
+ *         userAgent:
+ *           type: string
+ *           description: The user agent of the request
+ *           example: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/112.0.0.0 Safari/537.36
+ *         details:
+ *           type: object
+ *           description: Additional information depending on the event
+ *           example: { from: student, to: teacher }
+ *         createdAt:
+ *           type: string
+ *           description: The date of the event
+ *           example: 2023-05-08T07:45:12.000Z
+ */
+
+router.use(protect, requirePermission('audit.read'));
+
+/**
+ * @swagger
+ * /audit-logs:
+ *   get:
+ *     tags:
+ *       - Audit Log
+ *     summary: Route used to get the security audit log, with filtering, sorting and pagination (requires the audit.read permission)
+ *     parameters:
+ *       - name: event
+ *         in: query
+ *         description: 'The type of the events'
+ *         schema:
+ *           type: string
+ *           example: loginFailed
+ *       - name: user
+ *         in: query
+ *         description: 'The id of the concerned account'
+ *         schema:
+ *           type: string
+ *           example: 642c38f3b7ed1dbd25858e9e
+ *       - name: actor
+ *         in: query
+ *         description: 'The id of the user who performed the actions'
+ *         schema:
+ *           type: string
+ *           example: 642c38f3b7ed1dbd25858e9a
+ *       - name: ip
+ *         in: query
+ *         description: 'The IP address of the requests'
+ *         schema:
+ *           type: string
+ *           example: 193.134.220.11
+ *       - name: createdAt[gte]
+ *         in: query
+ *         description: 'The minimal date of the events'
+ *         schema:
+ *           type: string
+ *           example: 2023-05-01
+ *       - name: sort
+ *         in: query
+ *         description: 'The sorting fields (most recent first by default)'
+ *         schema:
+ *           type: string
+ *           example: -createdAt
+ *       - name: page
+ *         in: query
+ *         description: 'The page of the results'
+ *         schema:
+ *           type: number
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         description: 'The number of entries per page'
+ *         schema:
+ *           type: number
+ *           example: 20
+ *     responses:
+ *       200:
+ *         description: List of the audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     audit_logs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       404:
+ *         description: Non existing page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: This page doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/').get(getAllAuditLogs);
+
+module.exports = router;
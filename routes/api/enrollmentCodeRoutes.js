@@ -0,0 +1,417 @@
+const express = require('express');
+const {
+  protect,
+  requirePermission,
+} = require('../../controllers/authController');
+const {
+  getMyCodes,
+  createCode,
+  deleteCode,
+  redeemCode,
+} = require('../../controllers/enrollmentCodeController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EnrollmentCode:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the enrollment code
+ *           example: 645a1b2c3d4e5f6a7b8c9d0e
+ *         teacher:
+ *           type: string
+ *           description: The id of the teacher who created the code
+ *           example: 642199e8fcc9f9121f994dfc
+ *         code:
+ *           type: string
+ *           description: The code given by the teacher to his students
+ *           example: K7QM4XTZ
+ *         link:
+ *           type: string
+ *           description: The enrollment link containing the code
+ *           example: https://learn-at-home-frontend.vercel.app/enroll/K7QM4XTZ
+ *         expiresAt:
+ *           type: string
+ *           description: The expiration date of the code
+ *           example: 2023-05-16T08:00:00.000Z
+ *         maxUses:
+ *           type: number
+ *           description: The maximum number of students who can use the code (unlimited if not set)
+ *           example: 25
+ *         uses:
+ *           type: number
+ *           description: The number of students who already used the code
+ *           example: 12
+ *         createdAt:
+ *           type: string
+ *           description: The creation date of the code
+ *           example: 2023-05-09T08:00:00.000Z
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /enrollment-codes:
+ *   get:
+ *     tags:
+ *       - Enrollment Code
+ *     summary: Route used by a teacher to get his enrollment codes (restricted to teachers)
+ *     responses:
+ *       200:
+ *         description: The enrollment codes of the connected teacher
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enrollmentCodes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EnrollmentCode'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Enrollment Code
+ *     summary: Route used by a teacher to create an enrollment code, with which the students become supervised by him right away (restricted to teachers)
+ *     requestBody:
+ *       description: The validity of the code
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              expiresAt:
+ *                type: string
+ *                description: The expiration date of the code (in 7 days by default)
+ *                example: 2023-05-16T08:00:00.000Z
+ *              maxUses:
+ *                type: number
+ *                description: The maximum number of students who can use the code (unlimited by default)
+ *                example: 25
+ *     responses:
+ *       201:
+ *         description: The created enrollment code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enrollmentCode:
+ *                       $ref: '#/components/schemas/EnrollmentCode'
+ *       400:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             examples:
+ *               expiredExample:
+ *                 summary: Expiration date in the past
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *                   fields: [expiresAt: The expiration date must be in the future.]
+ *               maxUsesExample:
+ *                 summary: Invalid maximum number of uses
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *                   fields: [maxUses: A code must be usable at least once.]
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/')
+  .get(requirePermission('enrollment-codes.create'), getMyCodes)
+  .post(requirePermission('enrollment-codes.create'), createCode);
+
+/**
+ * @swagger
+ * /enrollment-codes/redeem:
+ *   post:
+ *     tags:
+ *       - Enrollment Code
+ *     summary: Route used by a student to redeem an enrollment code, the teacher of the code becoming his supervisor (restricted to students)
+ *     requestBody:
+ *       description: The enrollment code
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - code
+ *            properties:
+ *              code:
+ *                type: string
+ *                description: The enrollment code received from the teacher
+ *                example: K7QM4XTZ
+ *     responses:
+ *       200:
+ *         description: Successful enrollment, or student added to the waitlist when the last place of the teacher was taken at the same time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: You are now supervised by teacher.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     supervisor:
+ *                       $ref: '#/components/schemas/User'
+ *                     position:
+ *                       type: number
+ *                       description: The position of the student on the waitlist, instead of the supervisor
+ *                       example: 1
+ *       400:
+ *         description: Missing, invalid code or existing supervisor
+ *         content:
+ *           application/json:
+ *             examples:
+ *               missingCodeExample:
+ *                 summary: Missing code
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide an enrollment code.
+ *               invalidCodeExample:
+ *                 summary: Invalid, expired or fully used code
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid or expired enrollment code.
+ *               supervisedExample:
+ *                 summary: Student already supervised
+ *                 value:
+ *                   status: fail
+ *                   message: You can't have multiple mentors.
+ *               fullTeacherExample:
+ *                 summary: Teacher without free place
+ *                 value:
+ *                   status: fail
+ *                   message: This teacher has no free place anymore.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  '/redeem',
+  requirePermission('enrollment-codes.redeem'),
+  redeemCode
+);
+
+/**
+ * @swagger
+ * /enrollment-codes/{codeId}:
+ *   delete:
+ *     tags:
+ *       - Enrollment Code
+ *     summary: Route used by a teacher to delete one of his enrollment codes, which can't be used anymore (restricted to teachers)
+ *     parameters:
+ *       - name: codeId
+ *         in: path
+ *         description: 'The id of the enrollment code we want to delete'
+ *         schema:
+ *           type: string
+ *           example: 645a1b2c3d4e5f6a7b8c9d0e
+ *     responses:
+ *       204:
+ *         description: Successful deletion
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       404:
+ *         description: Non existing enrollment code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No enrollment code found with that ID.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete(
+  '/:codeId',
+  requirePermission('enrollment-codes.create'),
+  deleteCode
+);
+
+module.exports = router;
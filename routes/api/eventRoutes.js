@@ -1,5 +1,8 @@
 const express = require('express');
-const { protect, restrictTo } = require('../../controllers/authController');
+const {
+  protect,
+  requirePermission,
+} = require('../../controllers/authController');
 const {
   getAllEvents,
   createEvent,
@@ -77,7 +80,7 @@ const router = express.Router();
  *             example: 642199e8fcc9f9121f994df3
  */
 
-router.use(protect, restrictTo('student', 'teacher'));
+router.use(protect);
 
 /**
  * @swagger
@@ -361,7 +364,10 @@ router.use(protect, restrictTo('student', 'teacher'));
  *     security:
  *       - bearerAuth: []
  */
-router.route('/').get(getAllEvents).post(createEvent);
+router
+  .route('/')
+  .get(requirePermission('events.read'), getAllEvents)
+  .post(requirePermission('events.create'), createEvent);
 
 /**
  * @swagger
@@ -430,7 +436,7 @@ router.route('/').get(getAllEvents).post(createEvent);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/today').get(getTodayEvents);
+router.route('/today').get(requirePermission('events.read'), getTodayEvents);
 /**
  * @swagger
  * /events/week/today:
@@ -498,7 +504,9 @@ router.route('/today').get(getTodayEvents);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/week/today').get(getToday, getEventsWeek);
+router
+  .route('/week/today')
+  .get(requirePermission('events.read'), getToday, getEventsWeek);
 
 /**
  * @swagger
@@ -567,7 +575,9 @@ router.route('/week/today').get(getToday, getEventsWeek);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/week/previous').get(getPreviousWeek, getEventsWeek);
+router
+  .route('/week/previous')
+  .get(requirePermission('events.read'), getPreviousWeek, getEventsWeek);
 
 /**
  * @swagger
@@ -636,7 +646,9 @@ router.route('/week/previous').get(getPreviousWeek, getEventsWeek);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/week/next').get(getNextWeek, getEventsWeek);
+router
+  .route('/week/next')
+  .get(requirePermission('events.read'), getNextWeek, getEventsWeek);
 
 /**
  * @swagger
@@ -725,7 +737,9 @@ router.route('/week/next').get(getNextWeek, getEventsWeek);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/week/:date').get(getDate, getEventsWeek);
+router
+  .route('/week/:date')
+  .get(requirePermission('events.read'), getDate, getEventsWeek);
 
 /**
  * @swagger
@@ -794,7 +808,9 @@ router.route('/week/:date').get(getDate, getEventsWeek);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/month/today').get(getToday, getEventsMonth);
+router
+  .route('/month/today')
+  .get(requirePermission('events.read'), getToday, getEventsMonth);
 
 /**
  * @swagger
@@ -863,7 +879,9 @@ router.route('/month/today').get(getToday, getEventsMonth);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/month/previous').get(getPreviousMonth, getEventsMonth);
+router
+  .route('/month/previous')
+  .get(requirePermission('events.read'), getPreviousMonth, getEventsMonth);
 
 /**
  * @swagger
@@ -932,7 +950,9 @@ router.route('/month/previous').get(getPreviousMonth, getEventsMonth);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/month/next').get(getNextMonth, getEventsMonth);
+router
+  .route('/month/next')
+  .get(requirePermission('events.read'), getNextMonth, getEventsMonth);
 
 /**
  * @swagger
@@ -1021,7 +1041,9 @@ router.route('/month/next').get(getNextMonth, getEventsMonth);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/month/:date').get(getDate, getEventsMonth);
+router
+  .route('/month/:date')
+  .get(requirePermission('events.read'), getDate, getEventsMonth);
 
 /**
  * @swagger
@@ -1090,7 +1112,9 @@ router.route('/month/:date').get(getDate, getEventsMonth);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/year/today').get(getToday, getEventsYear);
+router
+  .route('/year/today')
+  .get(requirePermission('events.read'), getToday, getEventsYear);
 
 /**
  * @swagger
@@ -1159,7 +1183,9 @@ router.route('/year/today').get(getToday, getEventsYear);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/year/previous').get(getPreviousYear, getEventsYear);
+router
+  .route('/year/previous')
+  .get(requirePermission('events.read'), getPreviousYear, getEventsYear);
 
 /**
  * @swagger
@@ -1228,7 +1254,9 @@ router.route('/year/previous').get(getPreviousYear, getEventsYear);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/year/next').get(getNextYear, getEventsYear);
+router
+  .route('/year/next')
+  .get(requirePermission('events.read'), getNextYear, getEventsYear);
 
 /**
  * @swagger
@@ -1317,7 +1345,9 @@ router.route('/year/next').get(getNextYear, getEventsYear);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/year/:date').get(getDate, getEventsYear);
+router
+  .route('/year/:date')
+  .get(requirePermission('events.read'), getDate, getEventsYear);
 
 /**
  * @swagger
@@ -1702,7 +1732,11 @@ router.route('/year/:date').get(getDate, getEventsYear);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/:eventId').get(getEvent).patch(updateEvent).delete(deleteEvent);
+router
+  .route('/:eventId')
+  .get(requirePermission('events.read'), getEvent)
+  .patch(requirePermission('events.update'), updateEvent)
+  .delete(requirePermission('events.update'), deleteEvent);
 
 /**
  * @swagger
@@ -1811,7 +1845,9 @@ router.route('/:eventId').get(getEvent).patch(updateEvent).delete(deleteEvent);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/:eventId/accept').patch(acceptInvitation);
+router
+  .route('/:eventId/accept')
+  .patch(requirePermission('events.respond'), acceptInvitation);
 
 /**
  * @swagger
@@ -1915,6 +1951,8 @@ router.route('/:eventId/accept').patch(acceptInvitation);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/:eventId/refuse').patch(declineInvitation);
+router
+  .route('/:eventId/refuse')
+  .patch(requirePermission('events.respond'), declineInvitation);
 
 module.exports = router;
@@ -0,0 +1,872 @@
+const express = require('express');
+const {
+  protect,
+  requirePermission,
+} = require('../../controllers/authController');
+const {
+  getAllGuardianships,
+  requestGuardianship,
+  acceptGuardianship,
+  cancelGuardianship,
+  getWards,
+  restrictToWard,
+  getWardTasks,
+  getWardEvents,
+  getWardSupervisor,
+} = require('../../controllers/guardianshipController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Guardianship:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the guardianship
+ *           example: 6457e5f4a6b7c8d9e0f1a2b3
+ *         sent:
+ *           type: string
+ *           description: The date of the guardianship request
+ *           example: 2023-05-07T08:30:00.000Z
+ *         guardian:
+ *           type: object
+ *           description: The guardian (parent) who sent the request
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 642199e8fcc9f9121f994dfc
+ *             username:
+ *               type: string
+ *               example: schmid_parent
+ *             firstname:
+ *               type: string
+ *               example: Anna
+ *             lastname:
+ *               type: string
+ *               example: Schmid
+ *         student:
+ *           type: object
+ *           description: The student followed by the guardian
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 642199e8fcc9f9121f994dfa
+ *             username:
+ *               type: string
+ *               example: werner97
+ *             firstname:
+ *               type: string
+ *               example: Werner
+ *             lastname:
+ *               type: string
+ *               example: Schmid
+ *         accepted:
+ *           type: boolean
+ *           description: Whether the student (or an admin) approved the guardianship
+ *           example: true
+ *         acceptedBy:
+ *           type: string
+ *           description: The id of the user who approved the guardianship (the student or an admin)
+ *           example: 642199e8fcc9f9121f994dfa
+ *         acceptedAt:
+ *           type: string
+ *           description: The approval date of the guardianship
+ *           example: 2023-05-07T18:02:10.000Z
+ *         cancelled:
+ *           type: boolean
+ *           description: The cancellation status of the guardianship (a cancelled guardianship doesn't give any access anymore)
+ *           example: false
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /guardianships:
+ *   get:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used to get the guardianships of the connected user, or all the guardianships for an admin (restricted to guardians, students and admins)
+ *     responses:
+ *       200:
+ *         description: The guardianships involving the connected user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     guardianships:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Guardianship'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used by a guardian to ask the access to the progress of a student, who (or an admin) must approve it (restricted to guardians)
+ *     requestBody:
+ *       description: The e-mail address or the username of the student
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              email:
+ *                type: string
+ *                description: The student's email
+ *                example: werner97@hotmail.com
+ *              username:
+ *                type: string
+ *                description: The student's username
+ *                example: werner97
+ *     responses:
+ *       201:
+ *         description: The created guardianship request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     guardianship:
+ *                       $ref: '#/components/schemas/Guardianship'
+ *       400:
+ *         description: Missing fields or existing guardianship
+ *         content:
+ *           application/json:
+ *             examples:
+ *               missingFieldsExample:
+ *                 summary: Missing fields
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide the student's email or username.
+ *               pendingExample:
+ *                 summary: Pending guardianship request
+ *                 value:
+ *                   status: fail
+ *                   message: There is a pending guardianship request sent to this student.
+ *               acceptedExample:
+ *                 summary: Existing guardianship
+ *                 value:
+ *                   status: fail
+ *                   message: You are already the guardian of this student.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       404:
+ *         description: Non existing student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No student found with these details.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/')
+  .get(requirePermission('guardianships.read'), getAllGuardianships)
+  .post(requirePermission('guardianships.request'), requestGuardianship);
+
+/**
+ * @swagger
+ * /guardianships/students:
+ *   get:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used to get the students followed by the connected guardian (restricted to guardians)
+ *     responses:
+ *       200:
+ *         description: The students of the guardian
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/students')
+  .get(requirePermission('guardianships.students'), getWards);
+
+/**
+ * @swagger
+ * /guardianships/students/{studentId}/tasks:
+ *   get:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used by a guardian to consult the tasks of a student he follows (restricted to guardians)
+ *     parameters:
+ *       - name: studentId
+ *         in: path
+ *         description: 'The id of the student'
+ *         schema:
+ *           type: string
+ *           example: 642199e8fcc9f9121f994dfa
+ *     responses:
+ *       200:
+ *         description: The tasks of the student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tasks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: "Invalid _id: 6457e5f4a6b7c8"
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role or missing guardianship
+ *         content:
+ *           application/json:
+ *             examples:
+ *               roleExample:
+ *                 summary: Forbidden access due to role
+ *                 value:
+ *                   status: fail
+ *                   message: You don't have permission to perform this action.
+ *               notGuardianExample:
+ *                 summary: The user is not the guardian of the student
+ *                 value:
+ *                   status: fail
+ *                   message: You are not the guardian of this student.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/students/:studentId/tasks')
+  .get(
+    requirePermission('guardianships.students'),
+    restrictToWard,
+    getWardTasks
+  );
+
+/**
+ * @swagger
+ * /guardianships/students/{studentId}/events:
+ *   get:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used by a guardian to consult the events organized or attended by a student he follows (restricted to guardians)
+ *     parameters:
+ *       - name: studentId
+ *         in: path
+ *         description: 'The id of the student'
+ *         schema:
+ *           type: string
+ *           example: 642199e8fcc9f9121f994dfa
+ *       - name: page
+ *         in: query
+ *         description: 'The page of the results'
+ *         schema:
+ *           type: number
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         description: 'The number of events per page'
+ *         schema:
+ *           type: number
+ *           example: 10
+ *     responses:
+ *       200:
+ *         description: The events of the student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Invalid id or pagination values
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidIdExample:
+ *                 summary: Invalid id
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid _id: 6457e5f4a6b7c8"
+ *               paginationExample:
+ *                 summary: Non numerical pagination values
+ *                 value:
+ *                   status: fail
+ *                   message: please provide numerical values for pagination query variables (page and limit).
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role or missing guardianship
+ *         content:
+ *           application/json:
+ *             examples:
+ *               roleExample:
+ *                 summary: Forbidden access due to role
+ *                 value:
+ *                   status: fail
+ *                   message: You don't have permission to perform this action.
+ *               notGuardianExample:
+ *                 summary: The user is not the guardian of the student
+ *                 value:
+ *                   status: fail
+ *                   message: You are not the guardian of this student.
+ *       404:
+ *         description: Non existing page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: This page doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/students/:studentId/events')
+  .get(
+    requirePermission('guardianships.students'),
+    restrictToWard,
+    getWardEvents
+  );
+
+/**
+ * @swagger
+ * /guardianships/students/{studentId}/supervisor:
+ *   get:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used by a guardian to get the teacher supervising a student he follows (restricted to guardians)
+ *     parameters:
+ *       - name: studentId
+ *         in: path
+ *         description: 'The id of the student'
+ *         schema:
+ *           type: string
+ *           example: 642199e8fcc9f9121f994dfa
+ *     responses:
+ *       200:
+ *         description: The supervisor of the student (null if the student isn't supervised)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     supervisor:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: "Invalid _id: 6457e5f4a6b7c8"
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role or missing guardianship
+ *         content:
+ *           application/json:
+ *             examples:
+ *               roleExample:
+ *                 summary: Forbidden access due to role
+ *                 value:
+ *                   status: fail
+ *                   message: You don't have permission to perform this action.
+ *               notGuardianExample:
+ *                 summary: The user is not the guardian of the student
+ *                 value:
+ *                   status: fail
+ *                   message: You are not the guardian of this student.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/students/:studentId/supervisor')
+  .get(
+    requirePermission('guardianships.students'),
+    restrictToWard,
+    getWardSupervisor
+  );
+
+/**
+ * @swagger
+ * /guardianships/{guardianshipId}/accept:
+ *   patch:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used by a student (or an admin) to approve a guardianship request (restricted to students and admins)
+ *     parameters:
+ *       - name: guardianshipId
+ *         in: path
+ *         description: 'The id of the guardianship'
+ *         schema:
+ *           type: string
+ *           example: 6457e5f4a6b7c8d9e0f1a2b3
+ *     responses:
+ *       200:
+ *         description: The approved guardianship
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     guardianship:
+ *                       $ref: '#/components/schemas/Guardianship'
+ *       400:
+ *         description: Invalid id or guardianship state
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidIdExample:
+ *                 summary: Invalid id
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid _id: 6457e5f4a6b7c8"
+ *               cancelledExample:
+ *                 summary: Cancelled guardianship request
+ *                 value:
+ *                   status: fail
+ *                   message: You can't accept guardianship requests that were cancelled.
+ *               acceptedExample:
+ *                 summary: Already accepted guardianship request
+ *                 value:
+ *                   status: fail
+ *                   message: This guardianship request was already accepted.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role or to the receiver of the request
+ *         content:
+ *           application/json:
+ *             examples:
+ *               roleExample:
+ *                 summary: Forbidden access due to role
+ *                 value:
+ *                   status: fail
+ *                   message: You don't have permission to perform this action.
+ *               receiverExample:
+ *                 summary: Request sent to another student
+ *                 value:
+ *                   status: fail
+ *                   message: You can't accept guardianship requests that weren't sent to you.
+ *       404:
+ *         description: Non existing guardianship
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No guardianship found with that ID.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:guardianshipId/accept')
+  .patch(requirePermission('guardianships.approve'), acceptGuardianship);
+
+/**
+ * @swagger
+ * /guardianships/{guardianshipId}/cancel:
+ *   patch:
+ *     tags:
+ *       - Guardianship
+ *     summary: Route used to cancel a guardianship request or to revoke an approved guardianship (restricted to the guardian, the student and the admins)
+ *     parameters:
+ *       - name: guardianshipId
+ *         in: path
+ *         description: 'The id of the guardianship'
+ *         schema:
+ *           type: string
+ *           example: 6457e5f4a6b7c8d9e0f1a2b3
+ *     responses:
+ *       200:
+ *         description: The cancelled guardianship
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     guardianship:
+ *                       $ref: '#/components/schemas/Guardianship'
+ *       400:
+ *         description: Invalid id or already cancelled guardianship
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidIdExample:
+ *                 summary: Invalid id
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid _id: 6457e5f4a6b7c8"
+ *               cancelledExample:
+ *                 summary: Already cancelled guardianship
+ *                 value:
+ *                   status: fail
+ *                   message: This guardianship was already cancelled.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role or to the guardianship
+ *         content:
+ *           application/json:
+ *             examples:
+ *               roleExample:
+ *                 summary: Forbidden access due to role
+ *                 value:
+ *                   status: fail
+ *                   message: You don't have permission to perform this action.
+ *               partExample:
+ *                 summary: The user is not part of the guardianship
+ *                 value:
+ *                   status: fail
+ *                   message: You can't cancel guardianships you are not part of.
+ *       404:
+ *         description: Non existing guardianship
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No guardianship found with that ID.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:guardianshipId/cancel')
+  .patch(requirePermission('guardianships.cancel'), cancelGuardianship);
+
+module.exports = router;
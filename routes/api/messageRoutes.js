@@ -1,9 +1,10 @@
 const express = require('express');
 const {
   protect,
-  restrictTo,
+  requirePermission,
   restrictToReceiver,
   checkOtherUser,
+  restrictMessageReceiver,
 } = require('../../controllers/authController');
 const {
   getConversation,
@@ -82,7 +83,7 @@ const router = express.Router();
  *           example: true
  */
 
-router.use(protect, restrictTo('student', 'teacher'));
+router.use(protect);
 
 /**
  * @swagger
@@ -187,7 +188,7 @@ router.use(protect, restrictTo('student', 'teacher'));
  *           application/json:
  *             examples:
  *               nonExistingUserExample:
- *                 summary: Non existing user
+ *                 summary: Non existing user, or user blocked by you or blocking you
  *                 value:
  *                   status: fail
  *                   message: No user found with that ID.
@@ -297,20 +298,22 @@ router.use(protect, restrictTo('student', 'teacher'));
  *                   status: fail
  *                   message: User recently changed password ! Please log in again.
  *       403:
- *         description: Forbidden access due to role
+ *         description: Forbidden access
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: fail
- *                 message:
- *                   type: string
- *                   example: You don't have permission to perform this action.
+ *             examples:
+ *               roleExample:
+ *                 summary: Forbidden access due to role
+ *                 value:
+ *                   status: fail
+ *                   message: You don't have permission to perform this action.
+ *               privacyExample:
+ *                 summary: Messages limited by the privacy settings
+ *                 value:
+ *                   status: fail
+ *                   message: This user doesn't accept messages from you.
  *       404:
- *         description: Non existing user
+ *         description: Non existing user, or user blocked by you or blocking you
  *         content:
  *           application/json:
  *             schema:
@@ -333,8 +336,15 @@ router.use(protect, restrictTo('student', 'teacher'));
  */
 router
   .route('/conversation/:userId')
-  .get(checkOtherUser, getConversation)
-  .post(checkOtherUser, uploadFiles, saveFiles, sendMessage);
+  .get(requirePermission('messages.read'), checkOtherUser, getConversation)
+  .post(
+    requirePermission('messages.send'),
+    checkOtherUser,
+    restrictMessageReceiver,
+    uploadFiles,
+    saveFiles,
+    sendMessage
+  );
 
 /**
  * @swagger
@@ -443,7 +453,7 @@ router
  *     security:
  *       - bearerAuth: []
  */
-router.route('/last').get(getLastMessages);
+router.route('/last').get(requirePermission('messages.read'), getLastMessages);
 
 /**
  * @swagger
@@ -558,7 +568,7 @@ router.route('/last').get(getLastMessages);
  *                   type: string
  *                   example: You don't have permission to perform this action.
  *       404:
- *         description: Non existing user
+ *         description: Non existing user, or user blocked by you or blocking you
  *         content:
  *           application/json:
  *             schema:
@@ -579,7 +589,9 @@ router.route('/last').get(getLastMessages);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/last/:userId').get(checkOtherUser, getLastMessage);
+router
+  .route('/last/:userId')
+  .get(requirePermission('messages.read'), checkOtherUser, getLastMessage);
 
 /**
  * @swagger
@@ -654,7 +666,9 @@ router.route('/last/:userId').get(checkOtherUser, getLastMessage);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/unread').get(getTotalUnreadMessages);
+router
+  .route('/unread')
+  .get(requirePermission('messages.read'), getTotalUnreadMessages);
 
 /**
  * @swagger
@@ -727,6 +741,19 @@ router.route('/unread').get(getTotalUnreadMessages);
  *                 message:
  *                   type: string
  *                   example: You don't have permission to perform this action.
+ *       404:
+ *         description: Non existing user, or user blocked by you or blocking you
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No user found with that ID.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -736,7 +763,9 @@ router.route('/unread').get(getTotalUnreadMessages);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/unread/:userId').get(checkOtherUser, getUnreadFromUser);
+router
+  .route('/unread/:userId')
+  .get(requirePermission('messages.read'), checkOtherUser, getUnreadFromUser);
 
 /**
  * @swagger
@@ -825,6 +854,8 @@ router.route('/unread/:userId').get(checkOtherUser, getUnreadFromUser);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/:messageId/read').patch(restrictToReceiver, readMessage);
+router
+  .route('/:messageId/read')
+  .patch(requirePermission('messages.read'), restrictToReceiver, readMessage);
 
 module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const {
+  protect,
+  requirePermission,
+} = require('../../controllers/authController');
+const { getAllRoles, updateRole } = require('../../controllers/roleController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the role policy
+ *           example: 6454b2c1d3e4f5a6b7c8d9e0
+ *         name:
+ *           type: string
+ *           description: The name of the role
+ *           enum: [admin, teacher, student, guardian]
+ *           example: teacher
+ *         twoFactorRequired:
+ *           type: boolean
+ *           description: Whether the users having the role must enable the two-factor authentication to access the application
+ *           example: true
+ *         magicLinkEnabled:
+ *           type: boolean
+ *           description: Whether the users having the role can log in with a login link sent by e-mail
+ *           example: true
+ *         permissions:
+ *           type: array
+ *           description: The permissions granted to the users having the role
+ *           items:
+ *             type: string
+ *           example: [tasks.read, tasks.create, tasks.complete, events.read]
+ */
+
+router.use(protect, requirePermission('roles.manage'));
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     tags:
+ *       - Role
+ *     summary: Route used to get the policies of all the roles, with their permissions (requires the roles.manage permission)
+ *     responses:
+ *       200:
+ *         description: List of all the role policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/').get(getAllRoles);
+
+/**
+ * @swagger
+ * /roles/{name}:
+ *   patch:
+ *     tags:
+ *       - Role
+ *     summary: Route used to modify the policy of a role, including its permissions (requires the roles.manage permission)
+ *     parameters:
+ *       - name: name
+ *         in: path
+ *         description: 'The name of the role we want to modify'
+ *         schema:
+ *           type: string
+ *           enum: [admin, teacher, student, guardian]
+ *           example: teacher
+ *     requestBody:
+ *       description: The new policy values
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              twoFactorRequired:
+ *                type: boolean
+ *                description: Whether the users having the role must enable the two-factor authentication
+ *                example: true
+ *              magicLinkEnabled:
+ *                type: boolean
+ *                description: Whether the users having the role can log in with a login link sent by e-mail
+ *                example: false
+ *              permissions:
+ *                type: array
+ *                description: The permissions granted to the users having the role (replaces the current ones)
+ *                items:
+ *                  type: string
+ *                  enum: [users.contacts, users.supervised, users.manage, users.impersonate, roles.manage, messages.read, messages.send, teaching-demands.read, teaching-demands.send, teaching-demands.accept, teaching-demands.cancel, events.read, events.create, events.update, events.respond, tasks.read, tasks.create, tasks.complete, tasks.students, tasks.assign, tasks.validate, guardianships.read, guardianships.request, guardianships.approve, guardianships.cancel, guardianships.students, guardianships.manage, audit.read, enrollment-codes.create, enrollment-codes.redeem, users.teacher-profile, users.bypass-privacy]
+ *                example: [users.contacts, users.supervised, tasks.students, tasks.assign, tasks.validate]
+ *     responses:
+ *       200:
+ *         description: The updated role policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Invalid permissions
+ *         content:
+ *           application/json:
+ *             examples:
+ *               unknownPermissionExample:
+ *                 summary: Unknown permission
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *                   fields: [permissions.0: "Unknown permission: tasks.delete."]
+ *               adminPermissionExample:
+ *                 summary: Admin role losing the management of the roles
+ *                 value:
+ *                   status: fail
+ *                   message: The admin role must keep the roles.manage permission.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       404:
+ *         description: Non existing role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No role found with that name.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:name').patch(updateRole);
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const express = require('express');
-const { restrictTo, protect } = require('../../controllers/authController');
+const {
+  requirePermission,
+  protect,
+} = require('../../controllers/authController');
 const {
   getAllTasks,
   createTask,
@@ -193,8 +196,8 @@ router.use(protect);
  */
 router
   .route('/')
-  .get(restrictTo('student'), getAllTasks)
-  .post(restrictTo('student'), createTask);
+  .get(requirePermission('tasks.read'), getAllTasks)
+  .post(requirePermission('tasks.create'), createTask);
 
 /**
  * @swagger
@@ -265,7 +268,7 @@ router
  */
 router
   .route('/students/validated')
-  .get(restrictTo('teacher'), getValidatedStudentTasks);
+  .get(requirePermission('tasks.students'), getValidatedStudentTasks);
 
 /**
  * @swagger
@@ -334,7 +337,9 @@ router
  *     security:
  *       - bearerAuth: []
  */
-router.route('/students/done').get(restrictTo('teacher'), getDoneStudentTasks);
+router
+  .route('/students/done')
+  .get(requirePermission('tasks.students'), getDoneStudentTasks);
 
 /**
  * @swagger
@@ -403,7 +408,9 @@ router.route('/students/done').get(restrictTo('teacher'), getDoneStudentTasks);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/students/todo').get(restrictTo('teacher'), getTodoStudentTasks);
+router
+  .route('/students/todo')
+  .get(requirePermission('tasks.students'), getTodoStudentTasks);
 
 /**
  * @swagger
@@ -505,7 +512,7 @@ router.route('/students/todo').get(restrictTo('teacher'), getTodoStudentTasks);
  */
 router
   .route('/students/:studentId')
-  .post(restrictTo('teacher'), createTaskStudent);
+  .post(requirePermission('tasks.assign'), createTaskStudent);
 
 /**
  * @swagger
@@ -594,7 +601,9 @@ router
  *     security:
  *       - bearerAuth: []
  */
-router.route('/:taskId/complete').patch(restrictTo('student'), completeTask);
+router
+  .route('/:taskId/complete')
+  .patch(requirePermission('tasks.complete'), completeTask);
 
 /**
  * @swagger
@@ -696,6 +705,8 @@ router.route('/:taskId/complete').patch(restrictTo('student'), completeTask);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/:taskId/validate').patch(restrictTo('teacher'), validateTask);
+router
+  .route('/:taskId/validate')
+  .patch(requirePermission('tasks.validate'), validateTask);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const {
   protect,
-  restrictTo,
+  requirePermission,
   restrictReceiverToTeacher,
 } = require('../../controllers/authController');
 const {
@@ -11,6 +11,7 @@ const {
   cancelDemand,
   getAllDemands,
   getAvailableTeachers,
+  getWaitlist,
   isSupervised,
 } = require('../../controllers/teachingDemandController');
 
@@ -59,6 +60,14 @@ const router = express.Router();
  *           type: boolean
  *           description: The cancellation status of the teaching demand
  *           example: false
+ *         waitlisted:
+ *           type: boolean
+ *           description: Whether the demand waits for a free place of the teacher (accepted automatically when a place frees up)
+ *           example: false
+ *         waitlistedAt:
+ *           type: string
+ *           description: The date at which the demand was added to the waitlist, which is ordered by it
+ *           example: 2023-05-08T10:15:00.000Z
  */
 
 router.use(protect);
@@ -130,7 +139,9 @@ router.use(protect);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/').get(restrictTo('student', 'teacher'), getAllDemands);
+router
+  .route('/')
+  .get(requirePermission('teaching-demands.read'), getAllDemands);
 
 /**
  * @swagger
@@ -195,14 +206,56 @@ router.route('/').get(restrictTo('student', 'teacher'), getAllDemands);
  *     security:
  *       - bearerAuth: []
  */
-router.route('/is-supervised').get(restrictTo('student'), isSupervised);
+router
+  .route('/is-supervised')
+  .get(requirePermission('teaching-demands.send'), isSupervised);
 /**
  * @swagger
  * /teaching-demands/available-teachers:
  *   get:
  *     tags:
  *       - Teaching Demand
- *     summary: Route used to get all available teachers to which the user hasn't already sent a teaching demand (restricted to student)
+ *     summary: Route used to get all available teachers to which the user hasn't already sent a teaching demand, filtered and sorted on their profile (restricted to student)
+ *     parameters:
+ *       - name: subject
+ *         in: query
+ *         description: 'Only the teachers teaching this subject'
+ *         schema:
+ *           type: string
+ *           example: mathematics
+ *       - name: level
+ *         in: query
+ *         description: 'Only the teachers teaching at this level (for the subject if provided)'
+ *         schema:
+ *           type: string
+ *           enum: [primary, secondary, high-school, university, adult]
+ *           example: secondary
+ *       - name: language
+ *         in: query
+ *         description: 'Only the teachers speaking this language (ISO 639-1 code)'
+ *         schema:
+ *           type: string
+ *           example: fr
+ *       - name: day
+ *         in: query
+ *         description: 'Only the teachers available on this day'
+ *         schema:
+ *           type: string
+ *           enum: [Sun, Mon, Tue, Wed, Thu, Fri, Sat]
+ *           example: Wed
+ *       - name: available
+ *         in: query
+ *         description: 'Only the teachers who can still accept students'
+ *         schema:
+ *           type: boolean
+ *           example: true
+ *       - name: sort
+ *         in: query
+ *         description: 'The sort field, descending if prefixed by - (username by default)'
+ *         schema:
+ *           type: string
+ *           enum: [username, -username, firstname, -firstname, lastname, -lastname, maxStudents, -maxStudents, students, -students, freePlaces, -freePlaces]
+ *           example: -freePlaces
  *     responses:
  *       200:
  *         description: The available teachers
@@ -250,6 +303,29 @@ router.route('/is-supervised').get(restrictTo('student'), isSupervised);
  *                             type: string
  *                             description: The role of the user
  *                             example: teacher
+ *                           teacherProfile:
+ *                             $ref: '#/components/schemas/TeacherProfile'
+ *                           students:
+ *                             type: number
+ *                             description: The number of students supervised by the teacher
+ *                             example: 12
+ *                           freePlaces:
+ *                             type: number
+ *                             description: The number of students the teacher can still accept (null if he didn't set a maximum)
+ *                             example: 3
+ *       400:
+ *         description: Invalid sort field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: "Invalid sort field. Please use one of: username, firstname, lastname, maxStudents, students, freePlaces."
  *       401:
  *         description: User login problems
  *         content:
@@ -294,7 +370,78 @@ router.route('/is-supervised').get(restrictTo('student'), isSupervised);
  */
 router
   .route('/available-teachers')
-  .get(restrictTo('student'), getAvailableTeachers);
+  .get(requirePermission('teaching-demands.send'), getAvailableTeachers);
+
+/**
+ * @swagger
+ * /teaching-demands/waitlist:
+ *   get:
+ *     tags:
+ *       - Teaching Demand
+ *     summary: Route used by a teacher to get the demands waiting for a free place, the first one being promoted as soon as a place frees up (restricted to teachers)
+ *     responses:
+ *       200:
+ *         description: The waitlist of the teacher, ordered by waiting time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     teachingDemands:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TeachingDemand'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 summary: User Not logged in
+ *                 value:
+ *                   status: fail
+ *                   message: You are not logged in! Please log in to get access.
+ *               accountNotFoundExample:
+ *                 summary: Account not found or deleted
+ *                 value:
+ *                   status: fail
+ *                   message: The requested account doesn't exist or was deleted.
+ *               passwordChangedExample:
+ *                 summary: Password changed after the token was issued
+ *                 value:
+ *                   status: fail
+ *                   message: User recently changed password ! Please log in again.
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You don't have permission to perform this action.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/waitlist')
+  .get(requirePermission('teaching-demands.accept'), getWaitlist);
 
 /**
  * @swagger
@@ -384,7 +531,7 @@ router
  *   post:
  *     tags:
  *       - Teaching Demand
- *     summary: Route used to send a new teaching demand to a teacher (accessible to students only)
+ *     summary: Route used to send a new teaching demand to a teacher. If the teacher has no free place, the demand is added to his waitlist (accessible to students only)
  *     parameters:
  *       - name: userId
  *         in: path
@@ -403,11 +550,19 @@ router
  *                 status:
  *                   type: string
  *                   example: success
+ *                 message:
+ *                   type: string
+ *                   description: Only present if the demand was added to the waitlist
+ *                   example: "This teacher has no free place: your demand was added to the waitlist (position 2)."
  *                 data:
  *                   type: object
  *                   properties:
  *                     teachingDemand:
  *                       $ref: '#/components/schemas/TeachingDemand'
+ *                     position:
+ *                       type: number
+ *                       description: The position of the demand in the waitlist (only present if the demand was added to the waitlist)
+ *                       example: 2
  *       400:
  *         description: Invalid id
  *         content:
@@ -482,8 +637,12 @@ router
  */
 router
   .route('/user/:userId')
-  .get(restrictTo('student', 'teacher'), getDemand)
-  .post(restrictTo('student'), restrictReceiverToTeacher, sendDemand);
+  .get(requirePermission('teaching-demands.read'), getDemand)
+  .post(
+    requirePermission('teaching-demands.send'),
+    restrictReceiverToTeacher,
+    sendDemand
+  );
 
 /**
  * @swagger
@@ -530,6 +689,11 @@ router
  *                 value:
  *                   status: fail
  *                   message: You can't accept demands that were cancelled.
+ *               fullTeacherExample:
+ *                 summary: Maximum number of students reached
+ *                 value:
+ *                   status: fail
+ *                   message: You have reached your maximum number of students.
  *       401:
  *         description: User login problems
  *         content:
@@ -587,7 +751,9 @@ router
  *     security:
  *       - bearerAuth: []
  */
-router.route('/:demandId/accept').patch(restrictTo('teacher'), acceptDemand);
+router
+  .route('/:demandId/accept')
+  .patch(requirePermission('teaching-demands.accept'), acceptDemand);
 
 /**
  * @swagger
@@ -698,6 +864,6 @@ router.route('/:demandId/accept').patch(restrictTo('teacher'), acceptDemand);
  */
 router
   .route('/:demandId/cancel')
-  .patch(restrictTo('student', 'teacher'), cancelDemand);
+  .patch(requirePermission('teaching-demands.cancel'), cancelDemand);
 
 module.exports = router;
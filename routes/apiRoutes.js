@@ -1,20 +1,41 @@
 const express = require('express');
+const { scopeTo } = require('../controllers/authController');
 const userRouter = require('./api/userRoutes');
 const messageRouter = require('./api/messageRoutes');
 const teachingDemandRouter = require('./api/teachingDemandRoutes');
 const eventRouter = require('./api/eventRoutes');
 const taskRouter = require('./api/taskRoutes');
+const roleRouter = require('./api/roleRoutes');
+const guardianshipRouter = require('./api/guardianshipRoutes');
+const auditLogRouter = require('./api/auditLogRoutes');
+const enrollmentCodeRouter = require('./api/enrollmentCodeRoutes');
 
 const router = express.Router();
 
-router.use('/users', userRouter);
+router.use('/users', scopeTo('users'), userRouter);
 
-router.use('/messages', messageRouter);
+router.use('/messages', scopeTo('messages'), messageRouter);
 
-router.use('/teaching-demands', teachingDemandRouter);
+router.use(
+  '/teaching-demands',
+  scopeTo('teaching-demands'),
+  teachingDemandRouter
+);
 
-router.use('/events', eventRouter);
+router.use('/events', scopeTo('events'), eventRouter);
 
-router.use('/tasks', taskRouter);
+router.use('/tasks', scopeTo('tasks'), taskRouter);
+
+router.use('/roles', scopeTo('roles'), roleRouter);
+
+router.use('/audit-logs', scopeTo('audit-logs'), auditLogRouter);
+
+router.use('/guardianships', scopeTo('guardianships'), guardianshipRouter);
+
+router.use(
+  '/enrollment-codes',
+  scopeTo('enrollment-codes'),
+  enrollmentCodeRouter
+);
 
 module.exports = router;
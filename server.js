@@ -2,7 +2,12 @@ const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const app = require('./app');
 const { shutDownAll: shutDownWithoutBind } = require('./utils/utils');
+const { startJobWorker } = require('./utils/services/jobs');
+const User = require('./models/userModel');
 const { Server } = require('socket.io');
+const cookieParser = require('cookie-parser');
+const { authenticateSocket } = require('./utils/services/socketAuth');
+const { relay, relayConnection } = require('./utils/services/socketRelay');
 const {
   SOCKET_CONNECTIONS,
   CHAT_ROOM,
@@ -25,6 +30,10 @@ const port = process.env.PORT || 3001;
 
 mongoose.connect(DB_CONNECTION, {}).then(() => {
   console.log('DB connection successful.');
+  startJobWorker();
+  User.syncSearchFields().catch(err =>
+    console.error('Search fields synchronization error:', err.message)
+  );
 });
 
 const server = app.listen(port, () => {
@@ -35,13 +44,23 @@ const io = new Server(server, {
   cors: {
     origin: FRONT_END_URL,
     methods: ['GET', 'POST'],
+    credentials: true,
   },
   'close timeout': 0,
   'heartbeat timeout': 0,
 });
 
+// Used by the controllers to close the connections of a revoked token
+app.set('io', io);
+
+io.engine.use(cookieParser());
+io.use(authenticateSocket);
+
 io.on('connection', socket => {
-  const userId = socket?.handshake?.query?.userId;
+  // Set by authenticateSocket from the verified token
+  const {
+    data: { userId },
+  } = socket;
 
   console.log(`User Connected: ${userId}`);
   socket.join(CHAT_ROOM);
@@ -50,71 +69,69 @@ io.on('connection', socket => {
     SOCKET_CONNECTIONS.push(userId);
 
   socket.on('send_message', message => {
-    socket.to(CHAT_ROOM).emit('receive_message', message);
+    relay(socket, 'receive_message', message);
   });
 
   socket.on('send_invitation', invitation => {
-    socket.to(CHAT_ROOM).emit('receive_invitation', invitation);
+    relay(socket, 'receive_invitation', invitation);
   });
 
   socket.on('accept_invitation', invitation => {
-    socket.to(CHAT_ROOM).emit('invitation_accepted', invitation);
+    relay(socket, 'invitation_accepted', invitation);
   });
 
   socket.on('remove_contact', data => {
-    socket.to(CHAT_ROOM).emit('contact_removed', data);
+    relay(socket, 'contact_removed', data);
   });
 
   socket.on('send_teaching_demand', demand => {
-    socket.to(CHAT_ROOM).emit('receive_teaching_demand', demand);
+    relay(socket, 'receive_teaching_demand', demand);
   });
 
   socket.on('accept_teaching_demand', demand => {
-    socket.to(CHAT_ROOM).emit('teaching_demand_accepted', demand);
+    relay(socket, 'teaching_demand_accepted', demand);
   });
 
   socket.on('cancel_teaching_demand', demand => {
-    socket.to(CHAT_ROOM).emit('teaching_demand_cancelled', demand);
+    relay(socket, 'teaching_demand_cancelled', demand);
   });
 
   socket.on('event_created', event => {
-    socket.to(CHAT_ROOM).emit('receive_event', event);
+    relay(socket, 'receive_event', event);
   });
 
   socket.on('accept_event', event => {
-    socket.to(CHAT_ROOM).emit('event_accepted', event);
+    relay(socket, 'event_accepted', event);
   });
 
   socket.on('decline_event', event => {
-    socket.to(CHAT_ROOM).emit('event_declined', event);
+    relay(socket, 'event_declined', event);
   });
 
   socket.on('modify_event', event => {
-    socket.to(CHAT_ROOM).emit('event_modified', event);
+    relay(socket, 'event_modified', event);
   });
 
   socket.on('delete_event', event => {
-    socket.to(CHAT_ROOM).emit('event_deleted', event);
+    relay(socket, 'event_deleted', event);
   });
 
   socket.on('complete_task', task => {
-    socket.to(CHAT_ROOM).emit('task_completed', task);
+    relay(socket, 'task_completed', task);
   });
 
   socket.on('validate_task', task => {
-    socket.to(CHAT_ROOM).emit('task_validated', task);
+    relay(socket, 'task_validated', task);
   });
 
   socket.on('create_task', task => {
-    socket.to(CHAT_ROOM).emit('task_created', task);
+    relay(socket, 'task_created', task);
   });
 
-  socket.to(CHAT_ROOM).emit('notify_connection', { userId, connected: true });
+  relayConnection(socket, true);
 
   socket.on('disconnect', () => {
-    socket
-      .to(CHAT_ROOM)
-      .emit('notify_connection', { userId, connected: false });
+    relayConnection(socket, false);
 
     const index = SOCKET_CONNECTIONS.indexOf(id => id === userId);
     if (index !== -1) {
@@ -0,0 +1,121 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const AuditLog = require('../models/auditLogModel');
+
+const adminObj = {
+  username: 'auditlog_admin',
+  email: 'auditlog_admin@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'admin',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const studentObj = {
+  ...adminObj,
+  username: 'auditlog_student',
+  email: 'auditlog_student@learn-at-home.test',
+  role: 'student',
+};
+
+const emails = [adminObj.email, studentObj.email];
+
+let student;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  const users = await User.create([adminObj, studentObj]);
+  ids = users.map(({ _id }) => _id);
+  [, student] = users;
+});
+
+afterAll(async () => {
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+describe('AuditLog', () => {
+  it('Authentication events recorded with their request', async () => {
+    await loginAs(studentObj);
+    await loginAs({ ...studentObj, password: 'Wrong@1234' });
+
+    const events = await AuditLog.find({ user: student._id }).sort({
+      createdAt: 1,
+    });
+
+    expect(events.map(({ event }) => event)).toEqual(
+      expect.arrayContaining(['login', 'loginFailed'])
+    );
+    expect(events[0].ip).toBeTruthy();
+    expect(events[0].actor.valueOf()).toBe(student.id);
+  });
+
+  it('Entries can neither be modified nor removed', async () => {
+    await AuditLog.record('login', { user: student._id });
+
+    await expect(
+      AuditLog.updateMany({ user: student._id }, { event: 'passwordReset' })
+    ).rejects.toThrow('The audit log is append-only.');
+    await expect(AuditLog.deleteMany({ user: student._id })).rejects.toThrow(
+      'The audit log is append-only.'
+    );
+    await expect(
+      AuditLog.findOneAndDelete({ user: student._id })
+    ).rejects.toThrow('The audit log is append-only.');
+
+    expect(await AuditLog.exists({ user: student._id })).not.toBe(null);
+  });
+});
+
+describe('GET /audit-logs', () => {
+  it('200: Entries of an user listed by an admin', async () => {
+    await loginAs(studentObj);
+
+    const {
+      statusCode,
+      body: {
+        status,
+        data: { audit_logs: auditLogs },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/audit-logs`)
+      .query({ user: student.id, event: 'login' })
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`);
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(auditLogs.length).toBeGreaterThan(0);
+    expect(
+      auditLogs.every(
+        ({ user, event }) => user === student.id && event === 'login'
+      )
+    ).toBe(true);
+  });
+
+  it('403: Audit log read without the permission', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .get(`${API_ROUTE}/audit-logs`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(statusCode).toBe(403);
+    expect(status).toBe('fail');
+    expect(message).toBe("You don't have permission to perform this action.");
+  });
+});
@@ -1,4 +1,11 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const ApiToken = require('../models/apiTokenModel');
+const {
+  CONFIRMATION_RESEND_LIMIT,
+  PASSWORD_HISTORY_LENGTH,
+} = require('../utils/globals');
 
 const creationMock = session =>
   async function (creationObj) {
@@ -134,6 +141,25 @@ describe('POST /users/signup', () => {
 
     await session.abortTransaction();
   });
+
+  it('400: Invalid enrollment code', async () => {
+    const newRegistrationObj = { ...registrationObj };
+    newRegistrationObj.enrollmentCode = 'INVALID1';
+    session.startTransaction();
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/signup`)
+      .send(newRegistrationObj);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Invalid or expired enrollment code.');
+
+    await session.abortTransaction();
+  });
 });
 
 describe('POST /users/check-password', () => {
@@ -172,6 +198,157 @@ describe('POST /users/check-password', () => {
     expect(status).toBe('success');
     expect(validations.length).toBe(0);
   });
+
+  it('200: Reuse of the current password detected for a logged user', async () => {
+    const {
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const {
+      statusCode,
+      body: {
+        data: { validations },
+      },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/check-password`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: loginObj.password });
+
+    expect(statusCode).toBe(200);
+    expect(validations.map(({ validation }) => validation)).toEqual([
+      'history',
+    ]);
+  });
+});
+
+describe('Password history', () => {
+  const historyObj = {
+    ...registrationObj,
+    username: 'history_student',
+    email: 'history_student@learn-at-home.test',
+    isConfirmed: true,
+  };
+
+  const newPassword = 'New@12345';
+  const reusedMessage = `The password must be different from your last ${PASSWORD_HISTORY_LENGTH} passwords.`;
+
+  let student;
+
+  const loginHistory = async (password = historyObj.password) =>
+    await request(app)
+      .post(`${API_ROUTE}/users/login`)
+      .send({ username: historyObj.username, password });
+
+  beforeEach(async () => {
+    student = await User.create(historyObj);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await Session.deleteMany({ user: student._id });
+    await User.deleteMany({ email: historyObj.email });
+  });
+
+  it('200: Password checked anonymously with an invalid or revoked token', async () => {
+    const {
+      body: { token },
+    } = await loginHistory();
+
+    await request(app)
+      .post(`${API_ROUTE}/users/logout`)
+      .set('Authorization', `Bearer ${token}`);
+
+    for (const invalidToken of [token, 'invalidToken']) {
+      const {
+        statusCode,
+        body: {
+          status,
+          data: { validations },
+        },
+      } = await request(app)
+        .post(`${API_ROUTE}/users/check-password`)
+        .set('Authorization', `Bearer ${invalidToken}`)
+        .send({ password: historyObj.password });
+
+      expect(statusCode).toBe(200);
+      expect(status).toBe('success');
+      // The history of the user isn't checked
+      expect(validations).toEqual([]);
+    }
+  });
+
+  it('400: Previous password refused by the password update', async () => {
+    const {
+      body: { token },
+    } = await loginHistory();
+
+    const { statusCode, body } = await request(app)
+      .patch(`${API_ROUTE}/users/update-password`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        passwordCurrent: historyObj.password,
+        password: newPassword,
+        passwordConfirm: newPassword,
+      });
+
+    expect(statusCode).toBe(200);
+
+    const {
+      statusCode: reuseStatusCode,
+      body: {
+        status,
+        message,
+        error: { fields },
+      },
+    } = await request(app)
+      .patch(`${API_ROUTE}/users/update-password`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({
+        passwordCurrent: newPassword,
+        password: historyObj.password,
+        passwordConfirm: historyObj.password,
+      });
+
+    expect(reuseStatusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Invalid input data.');
+    expect(fields).toEqual([{ password: reusedMessage }]);
+
+    const { statusCode: loginStatusCode } = await loginHistory(newPassword);
+    expect(loginStatusCode).toBe(200);
+  });
+
+  it('400: Current password refused by the password reset', async () => {
+    const user = await User.findById(student._id);
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const {
+      statusCode,
+      body: {
+        status,
+        message,
+        error: { fields },
+      },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/reset-password/${resetToken}`)
+      .send({
+        password: historyObj.password,
+        passwordConfirm: historyObj.password,
+      });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Invalid input data.');
+    expect(fields).toEqual([{ password: reusedMessage }]);
+
+    // The link can still be used with a new password
+    const { statusCode: resetStatusCode } = await request(app)
+      .post(`${API_ROUTE}/users/reset-password/${resetToken}`)
+      .send({ password: newPassword, passwordConfirm: newPassword });
+
+    expect(resetStatusCode).toBe(200);
+  });
 });
 
 describe('GET /users/confirm/:confirmToken', () => {
@@ -295,6 +472,686 @@ describe('POST /users/login', () => {
     );
   });
 });
+describe('GET /users/confirmation-status', () => {
+  afterEach(async () => {
+    await User.findOneAndDelete({ email: registrationObj.email });
+    jest.restoreAllMocks();
+  });
+
+  it('200: Pending account', async () => {
+    jest.spyOn(Email.prototype, 'sendWelcome').mockImplementation(function () {
+      return this.url;
+    });
+
+    await request(app).post(`${API_ROUTE}/users/signup`).send(registrationObj);
+
+    const {
+      statusCode,
+      body: {
+        status,
+        data: { pending, confirmationExpires },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/confirmation-status`)
+      .query({ email: registrationObj.email });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(pending).toBe(true);
+    expect(confirmationExpires).toBeTruthy();
+  });
+
+  it('200: No pending account', async () => {
+    const {
+      statusCode,
+      body: {
+        data: { pending },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/confirmation-status`)
+      .query({ email: registrationObj.email });
+
+    expect(statusCode).toBe(200);
+    expect(pending).toBe(false);
+  });
+
+  it('400: Missing e-mail address', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).get(`${API_ROUTE}/users/confirmation-status`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Please provide an e-mail address.');
+  });
+});
+
+describe('POST /users/resend-confirmation', () => {
+  const confirmTokens = [];
+
+  beforeEach(() => {
+    jest.spyOn(Email.prototype, 'sendWelcome').mockImplementation(function () {
+      confirmTokens.push(this.url.split('confirm/')[1]);
+      return this.url;
+    });
+  });
+
+  afterEach(async () => {
+    await User.findOneAndDelete({ email: registrationObj.email });
+    jest.restoreAllMocks();
+  });
+
+  it('200: New link replacing the previous one', async () => {
+    await request(app).post(`${API_ROUTE}/users/signup`).send(registrationObj);
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/resend-confirmation`)
+      .send({ email: registrationObj.email.toUpperCase() });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(message).toBe(
+      'Confirmation link sent.\nPlease confirm your e-mail address by accessing the link we sent in your inbox before 10 days.'
+    );
+
+    const [firstToken, newToken] = confirmTokens;
+
+    const { statusCode: oldStatusCode } = await request(app).get(
+      `${API_ROUTE}/users/confirm/${firstToken}`
+    );
+    expect(oldStatusCode).toBe(404);
+
+    const { statusCode: newStatusCode } = await request(app).get(
+      `${API_ROUTE}/users/confirm/${newToken}`
+    );
+    expect(newStatusCode).toBe(200);
+  });
+
+  it('404: No pending account', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/resend-confirmation`)
+      .send({ email: registrationObj.email });
+
+    expect(statusCode).toBe(404);
+    expect(status).toBe('fail');
+    expect(message).toBe('No pending account found with that e-mail address.');
+  });
+
+  it('400: Missing e-mail address', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).post(`${API_ROUTE}/users/resend-confirmation`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Please provide an e-mail address.');
+  });
+
+  it('429: Too many links requested for the same address', async () => {
+    const email = 'resend_limit@learn-at-home.test';
+
+    for (let i = 0; i < CONFIRMATION_RESEND_LIMIT; i++) {
+      await request(app)
+        .post(`${API_ROUTE}/users/resend-confirmation`)
+        .send({ email });
+    }
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/resend-confirmation`)
+      .send({ email: ` ${email.toUpperCase()}` });
+
+    expect(statusCode).toBe(429);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      'Too many confirmation e-mails requested for this address, please try again in an hour!'
+    );
+    expect(Email.prototype.sendWelcome).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /users/refresh-token', () => {
+  it('200: Successful refresh with token rotation', async () => {
+    const {
+      body: { refreshToken },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const {
+      statusCode,
+      body: { status, token, refreshToken: newRefreshToken },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/refresh-token`)
+      .send({ refreshToken });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(token).toBeTruthy();
+    expect(newRefreshToken).not.toBe(refreshToken);
+
+    const {
+      statusCode: reuseStatusCode,
+      body: { message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/refresh-token`)
+      .send({ refreshToken });
+
+    expect(reuseStatusCode).toBe(401);
+    expect(message).toBe('Invalid refresh token. Please log in again.');
+  });
+
+  it('400: Missing refresh token', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).post(`${API_ROUTE}/users/refresh-token`).send({});
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Please provide a refresh token.');
+  });
+});
+
+describe('POST /users/logout', () => {
+  it('200: Logout revoking the access token', async () => {
+    const {
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/logout`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(message).toBe('Logged out.');
+
+    const {
+      statusCode: revokedStatusCode,
+      body: { message: revokedMessage },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(revokedStatusCode).toBe(401);
+    expect(revokedMessage).toBe('This token was revoked. Please log in again.');
+  });
+
+  it('200: Logout closing the sockets opened with the token', async () => {
+    const disconnectSockets = jest.fn();
+    const io = { in: jest.fn(() => ({ disconnectSockets })) };
+    app.set('io', io);
+
+    const {
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const { statusCode } = await request(app)
+      .post(`${API_ROUTE}/users/logout`)
+      .set('Authorization', `Bearer ${token}`);
+
+    app.set('io', undefined);
+
+    expect(statusCode).toBe(200);
+    expect(io.in).toHaveBeenCalledWith(`token:${jwt.decode(token).jti}`);
+    expect(disconnectSockets).toHaveBeenCalledWith(true);
+  });
+});
+
+describe('GET /users/search', () => {
+  const viewerObj = {
+    ...registrationObj,
+    username: 'search_viewer',
+    email: 'search_viewer@learn-at-home.test',
+    isConfirmed: true,
+  };
+
+  // Accounts found by the search, the last ones never listed
+  const matchObjs = ['search_match_a', 'search_match_b', 'search_match_c']
+    .concat('search_admin', 'search_deleted')
+    .map(username => ({
+      ...viewerObj,
+      username,
+      email: `${username}@learn-at-home.test`,
+      lastname: 'Zebulonsky',
+      role: username === 'search_admin' ? 'admin' : 'student',
+      isDeleted: username === 'search_deleted',
+    }));
+
+  const emails = [viewerObj.email, ...matchObjs.map(({ email }) => email)];
+
+  let viewer;
+
+  const search = async query => {
+    const {
+      body: { token },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/login`)
+      .send({ username: viewerObj.username, password: viewerObj.password });
+
+    return await request(app)
+      .get(`${API_ROUTE}/users/search`)
+      .query(query)
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  beforeAll(async () => {
+    [viewer] = await User.create([viewerObj, ...matchObjs]);
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({ user: viewer._id });
+    await User.deleteMany({ email: { $in: emails } });
+  });
+
+  it('200: Names beginning with the searched text', async () => {
+    const {
+      statusCode,
+      body: {
+        status,
+        total,
+        data: { users },
+      },
+    } = await search({ q: 'Zebu' });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(total).toBe(3);
+    expect(users.map(({ username }) => username)).toEqual([
+      'search_match_a',
+      'search_match_b',
+      'search_match_c',
+    ]);
+  });
+
+  it('200: Names similar to a misspelled text', async () => {
+    const {
+      statusCode,
+      body: {
+        total,
+        data: { users },
+      },
+    } = await search({ q: 'Zebulonski' });
+
+    expect(statusCode).toBe(200);
+    expect(total).toBe(3);
+    expect(users.every(({ lastname }) => lastname === 'Zebulonsky')).toBe(true);
+  });
+
+  it('200: Results split in pages', async () => {
+    const {
+      statusCode,
+      body: {
+        results,
+        total,
+        page,
+        data: { users },
+      },
+    } = await search({ q: 'zebulonsky', limit: 2, page: 2 });
+
+    expect(statusCode).toBe(200);
+    expect(results).toBe(1);
+    expect(total).toBe(3);
+    expect(page).toBe(2);
+    expect(users[0].username).toBe('search_match_c');
+  });
+
+  it('200: Admins and deleted accounts never listed', async () => {
+    const {
+      body: {
+        data: { users },
+      },
+    } = await search({ q: 'search' });
+
+    const usernames = users.map(({ username }) => username);
+
+    expect(usernames).not.toContain('search_admin');
+    expect(usernames).not.toContain('search_deleted');
+    expect(usernames).not.toContain(viewerObj.username);
+  });
+
+  it('400: Missing search text', async () => {
+    const {
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/search`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Please provide a text to search.');
+  });
+});
+
+describe('POST /users/me/blocked/:userId', () => {
+  it('400: Self blocking attempt', async () => {
+    const {
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+    const { id } = await User.findOne({ username: loginObj.username });
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/me/blocked/${id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe("You can't block yourself.");
+  });
+});
+
+describe('PATCH /users/me', () => {
+  it('400: Privacy settings updated outside of their route', async () => {
+    const {
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .patch(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ privacy: { messages: 'contacts' } });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      'Use the /me/privacy route to update the privacy settings.'
+    );
+  });
+});
+
+describe('GET /users/export/:exportToken', () => {
+  it('400: Invalid download link', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).get(`${API_ROUTE}/users/export/randomtoken`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Token is invalid or has expired.');
+  });
+});
+
+describe('POST /users/magic-link', () => {
+  const magicLinkObj = {
+    ...registrationObj,
+    username: 'magiclink_student',
+    email: 'magiclink_student@learn-at-home.test',
+    isConfirmed: true,
+  };
+
+  let student;
+
+  beforeAll(async () => {
+    student = await User.create(magicLinkObj);
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({ user: student._id });
+    await User.deleteMany({ email: magicLinkObj.email });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('200: Login with the link, usable only once', async () => {
+    let magicToken;
+    jest
+      .spyOn(Email.prototype, 'sendMagicLink')
+      .mockImplementation(async function () {
+        magicToken = this.url.split('magic-link/')[1];
+      });
+    jest.spyOn(Email.prototype, 'sendNewDeviceLogin').mockResolvedValue();
+
+    const { statusCode } = await request(app)
+      .post(`${API_ROUTE}/users/magic-link`)
+      .send({ email: magicLinkObj.email });
+
+    expect(statusCode).toBe(200);
+    expect(magicToken).toBeTruthy();
+
+    const {
+      statusCode: loginStatusCode,
+      body: { status, token },
+    } = await request(app).post(`${API_ROUTE}/users/magic-link/${magicToken}`);
+
+    expect(loginStatusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(token).toBeTruthy();
+
+    const {
+      statusCode: reuseStatusCode,
+      body: { message },
+    } = await request(app).post(`${API_ROUTE}/users/magic-link/${magicToken}`);
+
+    expect(reuseStatusCode).toBe(401);
+    expect(message).toBe('Invalid or expired login link.');
+  });
+
+  it('429: Too many links requested for the same address', async () => {
+    jest.spyOn(Email.prototype, 'sendMagicLink').mockResolvedValue();
+    const email = 'magiclink_limit@learn-at-home.test';
+
+    for (let i = 0; i < CONFIRMATION_RESEND_LIMIT; i++) {
+      await request(app).post(`${API_ROUTE}/users/magic-link`).send({ email });
+    }
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/magic-link`)
+      .send({ email: email.toUpperCase() });
+
+    expect(statusCode).toBe(429);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      'Too many login links requested for this address, please try again in an hour!'
+    );
+  });
+
+  it('200: Same response for an unknown e-mail address', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/magic-link`)
+      .send({ email: registrationObj.email });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(message).toBe('Login link sent to email!');
+  });
+
+  it('401: Invalid login link', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).post(`${API_ROUTE}/users/magic-link/invalidToken`);
+
+    expect(statusCode).toBe(401);
+    expect(status).toBe('fail');
+    expect(message).toBe('Invalid or expired login link.');
+  });
+});
+
+describe('/users/me/tokens', () => {
+  it('201: Token creation, scope enforcement and revocation', async () => {
+    const {
+      body: { token: loginToken },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const {
+      statusCode,
+      body: {
+        status,
+        data: { token, apiToken },
+      },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/me/tokens`)
+      .set('Authorization', `Bearer ${loginToken}`)
+      .send({ name: 'Test script', scopes: ['users:read'] });
+
+    expect(statusCode).toBe(201);
+    expect(status).toBe('success');
+    expect(token.startsWith('lah_')).toBe(true);
+    expect(apiToken.token).toBeUndefined();
+
+    const { statusCode: readStatusCode } = await request(app)
+      .get(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(readStatusCode).toBe(200);
+
+    const { statusCode: writeStatusCode } = await request(app)
+      .patch(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ firstname: 'Test' });
+
+    expect(writeStatusCode).toBe(403);
+
+    const { statusCode: revokeStatusCode } = await request(app)
+      .delete(`${API_ROUTE}/users/me/tokens/${apiToken._id}`)
+      .set('Authorization', `Bearer ${loginToken}`);
+
+    expect(revokeStatusCode).toBe(204);
+
+    const {
+      statusCode: revokedStatusCode,
+      body: { message },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(revokedStatusCode).toBe(401);
+    expect(message).toBe('Invalid or expired API token.');
+  });
+
+  describe('API token of an admin', () => {
+    const adminObj = {
+      ...registrationObj,
+      username: 'tokens_admin',
+      email: 'tokens_admin@learn-at-home.test',
+      role: 'admin',
+      isConfirmed: true,
+    };
+
+    let admin;
+    let token;
+
+    beforeAll(async () => {
+      admin = await User.create(adminObj);
+
+      const {
+        body: { token: loginToken },
+      } = await request(app)
+        .post(`${API_ROUTE}/users/login`)
+        .send({ username: adminObj.username, password: adminObj.password });
+
+      ({
+        body: {
+          data: { token },
+        },
+      } = await request(app)
+        .post(`${API_ROUTE}/users/me/tokens`)
+        .set('Authorization', `Bearer ${loginToken}`)
+        .send({
+          name: 'Admin script',
+          scopes: ['users:read', 'users:write', 'roles:read'],
+        }));
+    });
+
+    afterAll(async () => {
+      await ApiToken.deleteMany({ user: admin._id });
+      await Session.deleteMany({ user: admin._id });
+      await User.deleteMany({ email: adminObj.email });
+    });
+
+    it('403: Impersonation, import and role change refused', async () => {
+      const responses = [
+        await request(app)
+          .post(`${API_ROUTE}/users/${admin.id}/impersonate`)
+          .set('Authorization', `Bearer ${token}`),
+        await request(app)
+          .post(`${API_ROUTE}/users/import`)
+          .set('Authorization', `Bearer ${token}`),
+        await request(app)
+          .patch(`${API_ROUTE}/users/${admin.id}/role`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ role: 'teacher' }),
+      ];
+
+      for (const {
+        statusCode,
+        body: { status, message },
+      } of responses) {
+        expect(statusCode).toBe(403);
+        expect(status).toBe('fail');
+        expect(message).toBe(
+          "This action can't be performed with an API token."
+        );
+      }
+      expect((await User.findById(admin._id)).role).toBe('admin');
+    });
+
+    it('403: Roles and audit logs limited to the scopes of the token', async () => {
+      const { statusCode: readStatusCode } = await request(app)
+        .get(`${API_ROUTE}/roles`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(readStatusCode).toBe(200);
+
+      const scopeMessage =
+        "Your API token doesn't have the scope required to perform this action.";
+
+      const {
+        statusCode: writeStatusCode,
+        body: { message: writeMessage },
+      } = await request(app)
+        .patch(`${API_ROUTE}/roles/student`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ permissions: [] });
+
+      expect(writeStatusCode).toBe(403);
+      expect(writeMessage).toBe(scopeMessage);
+
+      const {
+        statusCode: auditStatusCode,
+        body: { message: auditMessage },
+      } = await request(app)
+        .get(`${API_ROUTE}/audit-logs`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(auditStatusCode).toBe(403);
+      expect(auditMessage).toBe(scopeMessage);
+    });
+  });
+});
+
 /*
 describe('POST /users/forgot-password', () => {
   let session;
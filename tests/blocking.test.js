@@ -0,0 +1,321 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Message = require('../models/messageModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const { relay, getUserRoom } = require('../utils/services/socketRelay');
+
+const studentObj = {
+  username: 'blocking_student',
+  email: 'blocking_student@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const blockedStudentObj = {
+  ...studentObj,
+  username: 'blocking_other',
+  email: 'blocking_other@learn-at-home.test',
+};
+
+const teacherObj = {
+  ...studentObj,
+  username: 'blocking_teacher',
+  email: 'blocking_teacher@learn-at-home.test',
+  role: 'teacher',
+};
+
+const emails = [studentObj.email, blockedStudentObj.email, teacherObj.email];
+
+let student;
+let blockedStudent;
+let teacher;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+const block = async (user, userObj = studentObj) =>
+  await request(app)
+    .post(`${API_ROUTE}/users/me/blocked/${user.id}`)
+    .set('Authorization', `Bearer ${await loginAs(userObj)}`);
+
+const sendMessage = async (senderObj, receiver) =>
+  await request(app)
+    .post(`${API_ROUTE}/messages/conversation/${receiver.id}`)
+    .set('Authorization', `Bearer ${await loginAs(senderObj)}`)
+    .send({ content: 'Hello' });
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+  const users = await User.create([studentObj, blockedStudentObj, teacherObj]);
+  ids = users.map(({ _id }) => _id);
+  [student, blockedStudent, teacher] = users;
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await Message.deleteMany({ sender: { $in: ids } });
+  await TeachingDemand.deleteMany({ sender: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+});
+
+describe('POST /users/me/blocked/:userId', () => {
+  it('200: User blocked and removed from the contacts and invitations', async () => {
+    await User.findByIdAndUpdate(student.id, {
+      contacts: [blockedStudent.id],
+      invitations: [blockedStudent.id],
+    });
+    await User.findByIdAndUpdate(blockedStudent.id, {
+      contacts: [student.id],
+    });
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await block(blockedStudent);
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(message).toBe('User successfully blocked.');
+
+    const blocker = await User.findById(student.id).select(
+      '+blocked contacts invitations'
+    );
+    expect(blocker.blocked.map(id => id.valueOf())).toEqual([
+      blockedStudent.id,
+    ]);
+    expect(blocker.contacts).toHaveLength(0);
+    expect(blocker.invitations).toHaveLength(0);
+
+    const blocked = await User.findById(blockedStudent.id).select('contacts');
+    expect(blocked.contacts).toHaveLength(0);
+
+    const {
+      body: {
+        data: { users },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/me/blocked`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(users.map(({ _id }) => _id)).toEqual([blockedStudent.id]);
+  });
+
+  it('400: User blocking himself', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await block(student);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe("You can't block yourself.");
+  });
+});
+
+describe('Blocked users', () => {
+  it('404: Messages refused both ways like for a non-existing user', async () => {
+    await block(blockedStudent);
+
+    for (const [senderObj, receiver] of [
+      [blockedStudentObj, student],
+      [studentObj, blockedStudent],
+    ]) {
+      const {
+        statusCode,
+        body: { status, message },
+      } = await sendMessage(senderObj, receiver);
+
+      expect(statusCode).toBe(404);
+      expect(status).toBe('fail');
+      expect(message).toBe('No user found with that Id.');
+    }
+  });
+
+  it('404: Conversation hidden like for a non-existing user', async () => {
+    await sendMessage(blockedStudentObj, student);
+    await block(blockedStudent);
+
+    for (const route of [
+      `conversation/${blockedStudent.id}`,
+      `last/${blockedStudent.id}`,
+      `unread/${blockedStudent.id}`,
+    ]) {
+      const {
+        statusCode,
+        body: { message },
+      } = await request(app)
+        .get(`${API_ROUTE}/messages/${route}`)
+        .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+      expect(statusCode).toBe(404);
+      expect(message).toBe('No user found with that Id.');
+    }
+  });
+
+  it('404: Profile hidden both ways like a non-existing user', async () => {
+    await block(blockedStudent);
+
+    for (const [viewerObj, user] of [
+      [blockedStudentObj, student],
+      [studentObj, blockedStudent],
+    ]) {
+      const {
+        statusCode,
+        body: { status, message },
+      } = await request(app)
+        .get(`${API_ROUTE}/users/${user.id}`)
+        .set('Authorization', `Bearer ${await loginAs(viewerObj)}`);
+
+      expect(statusCode).toBe(404);
+      expect(status).toBe('fail');
+      expect(message).toBe('No user found with that ID.');
+    }
+
+    // The public profile is still shown to the anonymous users
+    const { statusCode } = await request(app).get(
+      `${API_ROUTE}/users/${student.id}`
+    );
+
+    expect(statusCode).toBe(200);
+  });
+
+  it('200: Users left out of the list and the search', async () => {
+    await block(student, blockedStudentObj);
+
+    const {
+      statusCode,
+      body: {
+        data: { users },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/users`)
+      .query({ username: blockedStudentObj.username })
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(statusCode).toBe(200);
+    expect(users).toHaveLength(0);
+
+    const {
+      statusCode: searchStatusCode,
+      body: {
+        data: { users: foundUsers },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/search`)
+      .query({ q: 'blocking' })
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    const usernames = foundUsers.map(({ username }) => username);
+
+    expect(searchStatusCode).toBe(200);
+    expect(usernames).toContain(teacherObj.username);
+    expect(usernames).not.toContain(blockedStudentObj.username);
+  });
+
+  it('201: Messages sent again after an unblock', async () => {
+    await block(blockedStudent);
+    await request(app)
+      .delete(`${API_ROUTE}/users/me/blocked/${blockedStudent.id}`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    const { statusCode } = await sendMessage(blockedStudentObj, student);
+
+    expect(statusCode).toBe(201);
+  });
+
+  it('200: Invitation silently dropped', async () => {
+    await block(blockedStudent);
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .patch(`${API_ROUTE}/users/contacts/${student.id}/invite`)
+      .set('Authorization', `Bearer ${await loginAs(blockedStudentObj)}`);
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(message).toBe('Contact invitation successfully sent.');
+
+    const { invitations } = await User.findById(student.id).select(
+      'invitations'
+    );
+    expect(invitations).toHaveLength(0);
+  });
+
+  it('400: Teaching demand refused like for a non-teacher, pending one cancelled', async () => {
+    const demand = await TeachingDemand.create({
+      sender: student.id,
+      receiver: teacher.id,
+      sent: Date.now(),
+    });
+
+    await block(teacher);
+
+    expect((await TeachingDemand.findById(demand.id)).cancelled).toBe(true);
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/teaching-demands/user/${teacher.id}`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      "You can't send a teaching demand to an user that is not a teacher."
+    );
+  });
+
+  it('400: Event guest refused like a non-existing user', async () => {
+    await block(student, blockedStudentObj);
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/events`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`)
+      .send({ title: 'Revision', guests: [blockedStudent.id] });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe("You can't invite non existing guests to an event.");
+  });
+
+  it('Socket events not relayed to the blocked users', async () => {
+    await block(blockedStudent);
+
+    const except = jest.fn().mockReturnValue({ emit: jest.fn() });
+    const socket = {
+      data: { userId: blockedStudent.id },
+      to: jest.fn().mockReturnValue({ except }),
+    };
+
+    await relay(socket, 'typing', { userId: blockedStudent.id });
+
+    expect(except).toHaveBeenCalledWith([getUserRoom(student.id)]);
+  });
+});
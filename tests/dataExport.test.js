@@ -0,0 +1,255 @@
+const fs = require('fs');
+const ejs = require('ejs');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Job = require('../models/jobModel');
+const DataExport = require('../models/dataExportModel');
+const Message = require('../models/messageModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const { scheduleJob, runDueJobs } = require('../utils/services/jobs');
+const { deleteExports } = require('../utils/services/dataExport');
+const { enrollStudent } = require('../utils/services/supervision');
+
+const studentObj = {
+  username: 'dataexport_student',
+  email: 'dataexport_student@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const teacherObj = {
+  ...studentObj,
+  username: 'dataexport_teacher',
+  email: 'dataexport_teacher@learn-at-home.test',
+  role: 'teacher',
+};
+
+const emails = [studentObj.email, teacherObj.email];
+
+let student;
+let teacher;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+const requestExport = async () =>
+  await request(app)
+    .post(`${API_ROUTE}/users/me/export`)
+    .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+// Run the export job and return the token of the e-mailed download link
+const buildExport = async () => {
+  let exportToken;
+  jest
+    .spyOn(Email.prototype, 'sendDataExport')
+    .mockImplementation(async function () {
+      exportToken = this.url.split('/export/')[1];
+    });
+
+  await requestExport();
+  await runDueJobs();
+
+  return exportToken;
+};
+
+const download = async exportToken =>
+  await request(app)
+    .get(`${API_ROUTE}/users/export/${exportToken}`)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+  const users = await User.create([studentObj, teacherObj]);
+  ids = users.map(({ _id }) => _id);
+  [student, teacher] = users;
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  // The archives are removed with their files
+  await deleteExports({ user: { $in: ids } });
+  await Job.deleteMany({ user: { $in: ids } });
+  await Message.deleteMany({ sender: { $in: ids } });
+  await TeachingDemand.deleteMany({ sender: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+});
+
+describe('POST /users/me/export', () => {
+  it('202: Export prepared in the background', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await requestExport();
+
+    expect(statusCode).toBe(202);
+    expect(status).toBe('success');
+    expect(message).toBe(
+      'Your data export is being prepared. You will receive an e-mail with the download link.'
+    );
+    expect((await DataExport.findOne({ user: student._id })).status).toBe(
+      'pending'
+    );
+  });
+
+  it('400: Export already in progress', async () => {
+    await requestExport();
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await requestExport();
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('An export of your data is already in progress.');
+  });
+});
+
+describe('GET /users/export/:exportToken', () => {
+  it('200: Archive with the data as JSON and HTML downloaded', async () => {
+    await Message.create({
+      content: 'Hello',
+      sender: student._id,
+      receiver: teacher._id,
+      sent: Date.now(),
+      indexMessage: 1,
+    });
+
+    const exportToken = await buildExport();
+    expect(exportToken).toBeTruthy();
+
+    const dataExport = await DataExport.findOne({ user: student._id }).select(
+      '+file'
+    );
+    expect(dataExport.status).toBe('ready');
+    expect(dataExport.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const { statusCode, headers, body } = await download(exportToken);
+
+    expect(statusCode).toBe(200);
+    expect(headers['content-type']).toBe('application/zip');
+    expect(headers['content-disposition']).toMatch(
+      /^attachment; filename="learn-at-home-export-\d{4}-\d{2}-\d{2}\.zip"$/
+    );
+    // The names of the files are stored uncompressed in the zip archive
+    expect(body.includes('data.json')).toBe(true);
+    expect(body.includes('index.html')).toBe(true);
+    expect(body.equals(fs.readFileSync(dataExport.file))).toBe(true);
+  });
+
+  it('Supervisor of the user included in the export', async () => {
+    await enrollStudent(student.id, teacher.id);
+    const renderSpy = jest.spyOn(ejs, 'renderFile');
+
+    await buildExport();
+
+    const [, { profile }] = renderSpy.mock.calls.find(([file]) =>
+      file.endsWith('account.ejs')
+    );
+
+    expect(profile.supervisor.username).toBe(teacherObj.username);
+  });
+
+  it('400: Link expired, archive removed by its job', async () => {
+    const exportToken = await buildExport();
+    const dataExport = await DataExport.findOne({ user: student._id }).select(
+      '+file'
+    );
+
+    await DataExport.findByIdAndUpdate(dataExport._id, {
+      expiresAt: Date.now() - 1000,
+    });
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).get(`${API_ROUTE}/users/export/${exportToken}`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Token is invalid or has expired.');
+
+    await scheduleJob(
+      'deleteDataExport',
+      student._id,
+      Date.now() - 1000,
+      dataExport.id
+    );
+    await runDueJobs();
+
+    expect(await DataExport.exists({ _id: dataExport._id })).toBeNull();
+    expect(fs.existsSync(dataExport.file)).toBe(false);
+  });
+
+  it('Each archive removed by its own job', async () => {
+    await buildExport();
+    await buildExport();
+
+    const [firstExport, secondExport] = await DataExport.find({
+      user: student._id,
+    })
+      .sort({ createdAt: 1 })
+      .select('+file');
+
+    const jobs = await Job.find({
+      user: student._id,
+      type: 'deleteDataExport',
+    });
+    expect(jobs.map(({ key }) => key).sort()).toEqual(
+      [firstExport.id, secondExport.id].sort()
+    );
+
+    // Only the first link expired
+    await DataExport.findByIdAndUpdate(firstExport._id, {
+      expiresAt: Date.now() - 1000,
+    });
+    await Job.updateOne(
+      { type: 'deleteDataExport', key: firstExport.id },
+      { runAt: Date.now() - 1000 }
+    );
+    await runDueJobs();
+
+    expect(await DataExport.exists({ _id: firstExport._id })).toBeNull();
+    expect(fs.existsSync(firstExport.file)).toBe(false);
+    expect(await DataExport.exists({ _id: secondExport._id })).not.toBeNull();
+    expect(
+      await Job.exists({ type: 'deleteDataExport', key: secondExport.id })
+    ).not.toBeNull();
+  });
+
+  it('400: Invalid token', async () => {
+    const {
+      statusCode,
+      body: { status },
+    } = await request(app).get(`${API_ROUTE}/users/export/invalid-token`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+  });
+});
@@ -0,0 +1,146 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+
+const studentObj = {
+  username: 'emailchange_student',
+  email: 'emailchange_student@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const otherStudentObj = {
+  ...studentObj,
+  username: 'emailchange_other',
+  email: 'emailchange_other@learn-at-home.test',
+};
+
+const loginObj = {
+  username: studentObj.username,
+  password: studentObj.password,
+};
+
+const newEmail = 'emailchange_new@learn-at-home.test';
+
+const emails = [studentObj.email, otherStudentObj.email, newEmail];
+
+let student;
+let token;
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  await User.create(otherStudentObj);
+});
+
+afterAll(async () => {
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  jest.spyOn(Email.prototype, 'sendEmailChange').mockResolvedValue();
+  jest.spyOn(Email.prototype, 'sendEmailChangeNotice').mockResolvedValue();
+  student = await User.create(studentObj);
+
+  ({
+    body: { token },
+  } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await Session.deleteMany({ user: student._id });
+  await User.deleteMany({ email: { $in: [studentObj.email, newEmail] } });
+});
+
+const requestEmailChange = async values =>
+  await request(app)
+    .patch(`${API_ROUTE}/users/me/email`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(values);
+
+describe('PATCH /users/me/email', () => {
+  it('200: New address applied once confirmed', async () => {
+    let emailToken;
+    Email.prototype.sendEmailChange.mockImplementation(async function () {
+      emailToken = this.url.split('confirm-email/')[1];
+    });
+
+    const {
+      statusCode,
+      body: { status },
+    } = await requestEmailChange({
+      email: newEmail,
+      password: studentObj.password,
+    });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(Email.prototype.sendEmailChangeNotice).toHaveBeenCalledWith(
+      newEmail
+    );
+    // The address only changes once the new one is confirmed
+    expect((await User.findById(student._id)).email).toBe(studentObj.email);
+
+    const {
+      statusCode: confirmStatusCode,
+      body: { message },
+    } = await request(app).get(
+      `${API_ROUTE}/users/confirm-email/${emailToken}`
+    );
+
+    expect(confirmStatusCode).toBe(200);
+    expect(message).toBe('E-mail address successfully changed.');
+    expect((await User.findById(student._id)).email).toBe(newEmail);
+
+    const { statusCode: reuseStatusCode } = await request(app).get(
+      `${API_ROUTE}/users/confirm-email/${emailToken}`
+    );
+    expect(reuseStatusCode).toBe(404);
+  });
+
+  it('401: Wrong current password', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await requestEmailChange({
+      email: newEmail,
+      password: 'Wrong@1234',
+    });
+
+    expect(statusCode).toBe(401);
+    expect(status).toBe('fail');
+    expect(message).toBe('Your current password is wrong.');
+  });
+
+  it('400: Address used by another account', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await requestEmailChange({
+      email: otherStudentObj.email,
+      password: studentObj.password,
+    });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('This e-mail address is already used.');
+  });
+
+  it('400: Invalid address', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await requestEmailChange({
+      email: 'werner97',
+      password: studentObj.password,
+    });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Please provide a valid email address.');
+  });
+});
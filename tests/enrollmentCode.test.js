@@ -0,0 +1,193 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Job = require('../models/jobModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const EnrollmentCode = require('../models/enrollmentCodeModel');
+
+const teacherObj = {
+  username: 'enrollment_teacher',
+  email: 'enrollment_teacher@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'teacher',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const studentObj = {
+  ...teacherObj,
+  username: 'enrollment_student',
+  email: 'enrollment_student@learn-at-home.test',
+  role: 'student',
+};
+
+const otherStudentObj = {
+  ...studentObj,
+  username: 'enrollment_other',
+  email: 'enrollment_other@learn-at-home.test',
+};
+
+const registrationObj = {
+  username: 'enrollment_new',
+  email: 'enrollment_new@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+};
+
+const emails = [
+  teacherObj.email,
+  studentObj.email,
+  otherStudentObj.email,
+  registrationObj.email,
+];
+
+let teacher;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+const createCode = async values => {
+  const {
+    body: {
+      data: { enrollmentCode },
+    },
+  } = await request(app)
+    .post(`${API_ROUTE}/enrollment-codes`)
+    .set('Authorization', `Bearer ${await loginAs(teacherObj)}`)
+    .send(values);
+
+  return enrollmentCode;
+};
+
+const redeem = async (userObj, code) =>
+  await request(app)
+    .post(`${API_ROUTE}/enrollment-codes/redeem`)
+    .set('Authorization', `Bearer ${await loginAs(userObj)}`)
+    .send({ code });
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  [teacher] = await User.create([teacherObj, studentObj, otherStudentObj]);
+});
+
+afterAll(async () => {
+  const users = await User.find({ email: { $in: emails } }, null, {
+    disableMiddlewares: true,
+  });
+  const ids = users.map(({ _id }) => _id);
+  await EnrollmentCode.deleteMany({ teacher: teacher._id });
+  await TeachingDemand.deleteMany({ receiver: teacher._id });
+  await Job.deleteMany({ user: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+describe('POST /enrollment-codes/redeem', () => {
+  let code;
+
+  it('200: Student supervised by the teacher of the code', async () => {
+    ({ code } = await createCode({ maxUses: 1 }));
+
+    const {
+      statusCode,
+      body: {
+        status,
+        message,
+        data: { supervisor },
+      },
+    } = await redeem(studentObj, code.toLowerCase());
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(message).toBe(`You are now supervised by ${teacherObj.username}.`);
+    expect(supervisor._id).toBe(teacher.id);
+
+    const student = await User.findOne({ email: studentObj.email }).select(
+      '+supervisor'
+    );
+    expect(student.supervisor.valueOf()).toBe(teacher.id);
+  });
+
+  it('400: Code used more than its maximum number of uses', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await redeem(otherStudentObj, code);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Invalid or expired enrollment code.');
+    expect((await EnrollmentCode.findOne({ code })).uses).toBe(1);
+  });
+
+  it('400: Missing code', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await redeem(otherStudentObj);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Please provide an enrollment code.');
+  });
+});
+
+describe('POST /users/signup (enrollment code)', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('201: New student supervised once registered with a code', async () => {
+    jest.spyOn(Email.prototype, 'sendWelcome').mockResolvedValue();
+    const { code } = await createCode();
+
+    const {
+      statusCode,
+      body: { status },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/signup`)
+      .send({ ...registrationObj, enrollmentCode: code });
+
+    expect(statusCode).toBe(201);
+    expect(status).toBe('success');
+
+    const student = await User.findOne({ email: registrationObj.email }, null, {
+      disableMiddlewares: true,
+    }).select('+supervisor');
+    expect(student.supervisor.valueOf()).toBe(teacher.id);
+    expect((await EnrollmentCode.findOne({ code })).uses).toBe(1);
+  });
+
+  it('400: Code used by another role than a student', async () => {
+    const { code } = await createCode();
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/signup`)
+      .send({
+        ...registrationObj,
+        username: 'enrollment_teacher2',
+        email: 'enrollment_teacher2@learn-at-home.test',
+        role: 'teacher',
+        enrollmentCode: code,
+      });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Only students can use an enrollment code.');
+    expect((await EnrollmentCode.findOne({ code })).uses).toBe(0);
+  });
+});
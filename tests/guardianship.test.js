@@ -0,0 +1,175 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Task = require('../models/taskModel');
+const Guardianship = require('../models/guardianshipModel');
+
+const guardianObj = {
+  username: 'guardianship_guardian',
+  email: 'guardianship_guardian@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'guardian',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const studentObj = {
+  ...guardianObj,
+  username: 'guardianship_student',
+  email: 'guardianship_student@learn-at-home.test',
+  role: 'student',
+};
+
+const otherStudentObj = {
+  ...studentObj,
+  username: 'guardianship_other',
+  email: 'guardianship_other@learn-at-home.test',
+};
+
+const emails = [guardianObj.email, studentObj.email, otherStudentObj.email];
+
+let student;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  const users = await User.create([guardianObj, studentObj, otherStudentObj]);
+  ids = users.map(({ _id }) => _id);
+  [, student] = users;
+  await Task.create({ title: 'Homework', performer: student._id });
+});
+
+afterAll(async () => {
+  await Task.deleteMany({ performer: student._id });
+  await Guardianship.deleteMany({ guardian: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+const getWardTasks = async token =>
+  await request(app)
+    .get(`${API_ROUTE}/guardianships/students/${student.id}/tasks`)
+    .set('Authorization', `Bearer ${token}`);
+
+describe('/guardianships', () => {
+  let guardianshipId;
+
+  it('201: Request sent to a student, without access before his consent', async () => {
+    const token = await loginAs(guardianObj);
+
+    const {
+      statusCode,
+      body: {
+        status,
+        data: { guardianship },
+      },
+    } = await request(app)
+      .post(`${API_ROUTE}/guardianships`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: studentObj.username });
+
+    expect(statusCode).toBe(201);
+    expect(status).toBe('success');
+    expect(guardianship.accepted).toBe(false);
+    guardianshipId = guardianship._id;
+
+    const {
+      statusCode: tasksStatusCode,
+      body: { message },
+    } = await getWardTasks(token);
+
+    expect(tasksStatusCode).toBe(403);
+    expect(message).toBe('You are not the guardian of this student.');
+  });
+
+  it('403: Request accepted by another student', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .patch(`${API_ROUTE}/guardianships/${guardianshipId}/accept`)
+      .set('Authorization', `Bearer ${await loginAs(otherStudentObj)}`);
+
+    expect(statusCode).toBe(403);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      "You can't accept guardianship requests that weren't sent to you."
+    );
+  });
+
+  it('200: Read-only access once the student consented', async () => {
+    const { statusCode } = await request(app)
+      .patch(`${API_ROUTE}/guardianships/${guardianshipId}/accept`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(statusCode).toBe(200);
+
+    const token = await loginAs(guardianObj);
+
+    const {
+      statusCode: tasksStatusCode,
+      body: {
+        data: { tasks },
+      },
+    } = await getWardTasks(token);
+
+    expect(tasksStatusCode).toBe(200);
+    expect(tasks.map(({ title }) => title)).toEqual(['Homework']);
+
+    const {
+      body: {
+        data: { students },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/guardianships/students`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(students.map(({ _id }) => _id)).toEqual([student.id]);
+
+    // The guardian has no access to the messages of the student
+    const { statusCode: messagesStatusCode } = await request(app)
+      .get(`${API_ROUTE}/messages/last`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(messagesStatusCode).toBe(403);
+  });
+
+  it('403: Access revoked by the cancellation', async () => {
+    const { statusCode } = await request(app)
+      .patch(`${API_ROUTE}/guardianships/${guardianshipId}/cancel`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(statusCode).toBe(200);
+
+    const { statusCode: tasksStatusCode } = await getWardTasks(
+      await loginAs(guardianObj)
+    );
+
+    expect(tasksStatusCode).toBe(403);
+  });
+
+  it('403: Guardianship request sent by a student', async () => {
+    const {
+      statusCode,
+      body: { status },
+    } = await request(app)
+      .post(`${API_ROUTE}/guardianships`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`)
+      .send({ username: otherStudentObj.username });
+
+    expect(statusCode).toBe(403);
+    expect(status).toBe('fail');
+  });
+});
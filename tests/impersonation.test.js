@@ -0,0 +1,201 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const ImpersonationLog = require('../models/impersonationLogModel');
+const { deleteUserCascade } = require('../utils/services/userDeletion');
+
+const IMPERSONATION_MESSAGE =
+  "This action can't be performed while impersonating an user.";
+
+const adminObj = {
+  username: 'impersonation_admin',
+  email: 'impersonation_admin@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'admin',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const studentObj = {
+  ...adminObj,
+  username: 'impersonation_student',
+  email: 'impersonation_student@learn-at-home.test',
+  role: 'student',
+};
+
+const otherStudentObj = {
+  ...studentObj,
+  username: 'impersonation_other',
+  email: 'impersonation_other@learn-at-home.test',
+};
+
+const emails = [adminObj.email, studentObj.email, otherStudentObj.email];
+
+let admin;
+let student;
+let otherStudent;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+// The impersonated requests are recorded once their response is sent
+const waitForLogs = async (filter, count) => {
+  for (let i = 0; i < 20; i++) {
+    const logs = await ImpersonationLog.find(filter);
+    if (logs.length >= count) return logs;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return await ImpersonationLog.find(filter);
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  admin = await User.create(adminObj);
+  otherStudent = await User.create(otherStudentObj);
+});
+
+afterAll(async () => {
+  const users = await User.find({ email: { $in: emails } }, null, {
+    disableMiddlewares: true,
+  });
+  await Session.deleteMany({ user: { $in: users.map(({ _id }) => _id) } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  student = await User.create(studentObj);
+});
+
+afterEach(async () => {
+  await Session.deleteMany({ user: student._id });
+  await User.deleteMany({ email: studentObj.email });
+});
+
+const impersonate = async (user, token) =>
+  await request(app)
+    .post(`${API_ROUTE}/users/${user.id}/impersonate`)
+    .set('Authorization', `Bearer ${token}`);
+
+describe('POST /users/:id/impersonate', () => {
+  it('201: Requests made as the user and recorded', async () => {
+    const {
+      statusCode,
+      body: { status, impersonation, token },
+    } = await impersonate(student, await loginAs(adminObj));
+
+    expect(statusCode).toBe(201);
+    expect(status).toBe('success');
+    expect(impersonation).toBe(true);
+
+    const {
+      statusCode: meStatusCode,
+      headers,
+      body: {
+        data: { user },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(meStatusCode).toBe(200);
+    expect(user.username).toBe(studentObj.username);
+    expect(headers['x-impersonated-by']).toBe(admin.id);
+
+    const logs = await waitForLogs(
+      { impersonator: admin._id, user: student._id },
+      2
+    );
+    expect(logs.map(({ path }) => path)).toContain(`${API_ROUTE}/users/me`);
+  });
+
+  it('403: Writes refused while impersonating', async () => {
+    const {
+      body: { token },
+    } = await impersonate(student, await loginAs(adminObj));
+
+    const responses = [
+      await request(app)
+        .patch(`${API_ROUTE}/users/me`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ firstname: 'Impersonated' }),
+      await request(app)
+        .post(`${API_ROUTE}/users/me/blocked/${otherStudent.id}`)
+        .set('Authorization', `Bearer ${token}`),
+      await request(app)
+        .delete(`${API_ROUTE}/users/me`)
+        .set('Authorization', `Bearer ${token}`),
+    ];
+
+    for (const {
+      statusCode,
+      body: { status, message },
+    } of responses) {
+      expect(statusCode).toBe(403);
+      expect(status).toBe('fail');
+      expect(message).toBe(IMPERSONATION_MESSAGE);
+    }
+
+    const user = await User.findById(student._id).select('+blocked');
+    expect(user.firstname).toBe(studentObj.firstname);
+    expect(user.blocked).toEqual([]);
+
+    // The refused attempts are recorded too
+    const logs = await waitForLogs(
+      { impersonator: admin._id, user: student._id, statusCode: 403 },
+      3
+    );
+    expect(logs).toHaveLength(3);
+  });
+
+  it('200: Allowed write sent while impersonating', async () => {
+    const {
+      body: { token },
+    } = await impersonate(student, await loginAs(adminObj));
+
+    const {
+      statusCode,
+      body: { status },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/check-password`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'Test@1234' });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+  });
+
+  it('403: Impersonation without the permission', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await impersonate(otherStudent, await loginAs(studentObj));
+
+    expect(statusCode).toBe(403);
+    expect(status).toBe('fail');
+    expect(message).toBe("You don't have permission to perform this action.");
+  });
+});
+
+describe('Impersonation logs', () => {
+  it('Read-only and kept when the account is deleted', async () => {
+    await impersonate(student, await loginAs(adminObj));
+
+    await expect(
+      ImpersonationLog.updateMany({ user: student._id }, { statusCode: 200 })
+    ).rejects.toThrow('The impersonation logs are read-only.');
+
+    await deleteUserCascade(student._id);
+
+    expect(await ImpersonationLog.exists({ user: student._id })).not.toBe(null);
+  });
+});
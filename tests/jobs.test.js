@@ -0,0 +1,115 @@
+const User = require('../models/userModel');
+const Job = require('../models/jobModel');
+const Session = require('../models/sessionModel');
+const { scheduleJob, runDueJobs } = require('../utils/services/jobs');
+
+const studentObj = {
+  username: 'jobs_student',
+  email: 'jobs_student@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const loginObj = {
+  username: studentObj.username,
+  password: studentObj.password,
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+let user;
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await Job.deleteMany({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await User.deleteMany({ email: studentObj.email });
+});
+
+describe('purgeUnconfirmedUser job', () => {
+  beforeEach(() => {
+    jest.spyOn(Email.prototype, 'sendConfirmationDelete').mockResolvedValue();
+  });
+
+  it('Removes the account still unconfirmed at the deadline', async () => {
+    user = await User.create({ ...studentObj, isConfirmed: false });
+    await scheduleJob('purgeUnconfirmedUser', user._id, Date.now() - 1000);
+
+    await runDueJobs();
+
+    expect(
+      await User.findById(user._id, null, { disableMiddlewares: true })
+    ).toBeNull();
+    expect(await Job.exists({ user: user._id })).toBeNull();
+    expect(Email.prototype.sendConfirmationDelete).toHaveBeenCalled();
+  });
+
+  it('Keeps the account confirmed in the meantime', async () => {
+    user = await User.create(studentObj);
+    await scheduleJob('purgeUnconfirmedUser', user._id, Date.now() - 1000);
+
+    await runDueJobs();
+
+    expect(await User.findById(user._id)).not.toBeNull();
+    expect(await Job.exists({ user: user._id })).toBeNull();
+    expect(Email.prototype.sendConfirmationDelete).not.toHaveBeenCalled();
+  });
+
+  it('Retries a failed job later', async () => {
+    user = await User.create({ ...studentObj, isConfirmed: false });
+    await scheduleJob('purgeUnconfirmedUser', user._id, Date.now() - 1000);
+    Email.prototype.sendConfirmationDelete.mockRejectedValue(
+      new Error('Mail server unavailable')
+    );
+
+    await runDueJobs();
+
+    const job = await Job.findOne({ user: user._id });
+    expect(job.attempts).toBe(1);
+    expect(job.lastError).toBe('Mail server unavailable');
+    expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+    expect(job.lockedAt).toBeUndefined();
+  });
+});
+
+describe('permanentDeleteUser job', () => {
+  it('Scheduled by the deletion and cancelled by a new login', async () => {
+    jest.spyOn(Email.prototype, 'sendAccountDelete').mockResolvedValue();
+    user = await User.create(studentObj);
+
+    const {
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    const { statusCode } = await request(app)
+      .delete(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusCode).toBe(204);
+
+    const job = await Job.findOne({
+      user: user._id,
+      type: 'permanentDeleteUser',
+    });
+    expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+
+    const { statusCode: loginStatusCode } = await request(app)
+      .post(`${API_ROUTE}/users/login`)
+      .send(loginObj);
+
+    expect(loginStatusCode).toBe(200);
+    expect(
+      await Job.exists({ user: user._id, type: 'permanentDeleteUser' })
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const LoginFailure = require('../models/loginFailureModel');
+const {
+  LOGIN_DELAY_THRESHOLD,
+  LOGIN_LOCK_THRESHOLD,
+  ACCOUNT_LOGIN_FAILURES_LIMIT,
+} = require('../utils/globals');
+
+const LOCKED_MESSAGE =
+  'Your account is temporarily locked due to too many failed login attempts. Please try again later or reset your password.';
+
+const studentObj = {
+  username: 'protection_student',
+  email: 'protection_student@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const adminObj = {
+  ...studentObj,
+  username: 'protection_admin',
+  email: 'protection_admin@learn-at-home.test',
+  role: 'admin',
+};
+
+const emails = [studentObj.email, adminObj.email];
+
+const loginAs = async (username, password = studentObj.password) =>
+  await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  await User.create(adminObj);
+});
+
+afterAll(async () => {
+  const users = await User.find({ email: { $in: emails } });
+  await Session.deleteMany({ user: { $in: users.map(({ _id }) => _id) } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+describe('POST /users/login (failed attempts)', () => {
+  let student;
+
+  beforeEach(async () => {
+    jest.spyOn(Email.prototype, 'sendAccountLocked').mockResolvedValue();
+    student = await User.create(studentObj);
+    await LoginFailure.deleteMany({});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete process.env.IP_LOGIN_FAILURES_LIMIT;
+    await Session.deleteMany({ user: student._id });
+    await User.deleteMany({ email: studentObj.email });
+  });
+
+  it('429: Progressive delay after a few failures', async () => {
+    for (let i = 0; i < LOGIN_DELAY_THRESHOLD; i++) {
+      const { statusCode } = await loginAs(studentObj.username, 'Wrong@1234');
+      expect(statusCode).toBe(401);
+    }
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await loginAs(studentObj.username);
+
+    expect(statusCode).toBe(429);
+    expect(status).toBe('fail');
+    expect(message).toMatch(
+      /^Too many failed login attempts. Please try again in \d+ seconds.$/
+    );
+  });
+
+  it('423: Lock after too many failures, lifted by an admin', async () => {
+    // The previous failures are old enough not to delay the next attempt
+    await User.findByIdAndUpdate(student._id, {
+      failedLoginAttempts: LOGIN_LOCK_THRESHOLD - 1,
+      lastFailedLogin: Date.now() - 24 * 60 * 60 * 1000,
+    });
+
+    const { statusCode } = await loginAs(studentObj.username, 'Wrong@1234');
+    expect(statusCode).toBe(401);
+    expect(Email.prototype.sendAccountLocked).toHaveBeenCalled();
+
+    const {
+      statusCode: lockedStatusCode,
+      body: { status, message },
+    } = await loginAs(studentObj.username);
+
+    expect(lockedStatusCode).toBe(423);
+    expect(status).toBe('fail');
+    expect(message).toBe(LOCKED_MESSAGE);
+
+    const {
+      body: { token },
+    } = await loginAs(adminObj.username);
+
+    const { statusCode: unlockStatusCode } = await request(app)
+      .patch(`${API_ROUTE}/users/${student.id}/unlock`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(unlockStatusCode).toBe(200);
+
+    const { statusCode: loginStatusCode } = await loginAs(studentObj.username);
+    expect(loginStatusCode).toBe(200);
+  });
+
+  it('423: Parallel failures all counted towards the lock', async () => {
+    const locks = await Promise.all(
+      Array.from({ length: LOGIN_LOCK_THRESHOLD }, () =>
+        User.registerFailedLogin(student._id)
+      )
+    );
+
+    expect(locks.filter(lockUntil => lockUntil)).toHaveLength(1);
+
+    const { statusCode } = await loginAs(studentObj.username);
+    expect(statusCode).toBe(423);
+  });
+
+  it('200: Login possible again once the lock has expired', async () => {
+    await User.findByIdAndUpdate(student._id, {
+      lockUntil: Date.now() - 1000,
+    });
+
+    const { statusCode } = await loginAs(studentObj.username);
+    expect(statusCode).toBe(200);
+
+    const user = await User.findById(student._id).select(
+      '+failedLoginAttempts +lockUntil'
+    );
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockUntil).toBeUndefined();
+  });
+
+  it('429: Failures counted per account for the same IP address', async () => {
+    for (let i = 0; i < ACCOUNT_LOGIN_FAILURES_LIMIT; i++) {
+      await loginAs('unknown_user', 'Wrong@1234');
+    }
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await loginAs('unknown_user', 'Wrong@1234');
+
+    expect(statusCode).toBe(429);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      'Too many failed login attempts from this IP, please try again in an hour!'
+    );
+
+    // The other users behind the same IP address can still log in
+    const { statusCode: otherStatusCode } = await loginAs(studentObj.username);
+    expect(otherStatusCode).toBe(200);
+  });
+
+  it('429: Limit of the IP address read from the environment', async () => {
+    process.env.IP_LOGIN_FAILURES_LIMIT = '2';
+
+    await loginAs('unknown_user1', 'Wrong@1234');
+    await loginAs('unknown_user2', 'Wrong@1234');
+
+    const { statusCode } = await loginAs(studentObj.username);
+    expect(statusCode).toBe(429);
+  });
+});
@@ -0,0 +1,179 @@
+const ejs = require('ejs');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { getUserRoom } = require('../utils/services/socketRelay');
+const {
+  LOGIN_LOCK_THRESHOLD,
+  LOGIN_LOCK_DURATION,
+} = require('../utils/globals');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/118.0';
+const SAFARI =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1';
+const CHROME =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/118.0.0.0 Safari/537.36';
+
+const studentObj = {
+  username: 'newdevice_student',
+  email: 'newdevice_student@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+let student;
+
+const loginWith = async (userAgent, password = studentObj.password) =>
+  await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .set('User-Agent', userAgent)
+    .send({ username: studentObj.username, password });
+
+// The alert tokens are read from the links of the mocked e-mails
+const mockAlerts = () => {
+  const alertTokens = [];
+
+  jest
+    .spyOn(Email.prototype, 'sendNewDeviceLogin')
+    .mockImplementation(async function () {
+      alertTokens.push(this.url.split('not-me/')[1]);
+    });
+
+  return alertTokens;
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  jest.spyOn(Email.prototype, 'sendPasswordReset').mockResolvedValue();
+  student = await User.create(studentObj);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  app.set('io', undefined);
+  await Session.deleteMany({ user: student._id });
+  await User.deleteMany({ email: studentObj.email });
+});
+
+describe('POST /users/login (new device)', () => {
+  it('No alert for the first and the known devices', async () => {
+    const alertTokens = mockAlerts();
+
+    await loginWith(FIREFOX);
+    await loginWith(FIREFOX);
+
+    expect(alertTokens).toEqual([]);
+  });
+
+  it('200: Alert for a new device, reported to close the sessions', async () => {
+    const alertTokens = mockAlerts();
+    const disconnectSockets = jest.fn();
+    const io = { in: jest.fn(() => ({ disconnectSockets })) };
+    app.set('io', io);
+
+    await loginWith(FIREFOX);
+    const {
+      body: { refreshToken },
+    } = await loginWith(SAFARI);
+
+    expect(alertTokens).toHaveLength(1);
+    expect(Email.prototype.sendNewDeviceLogin.mock.calls[0][0].device).toBe(
+      'Safari on iOS'
+    );
+
+    const [alertToken] = alertTokens;
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).post(`${API_ROUTE}/users/not-me/${alertToken}`);
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(message).toBe(
+      'All your sessions were closed. A link to choose a new password was sent to your email.'
+    );
+    expect(await Session.exists({ user: student._id })).toBeNull();
+
+    // The open real-time connections of the user are closed too
+    expect(io.in).toHaveBeenCalledWith(getUserRoom(student.id));
+    expect(disconnectSockets).toHaveBeenCalledWith(true);
+
+    const { statusCode: refreshStatusCode } = await request(app)
+      .post(`${API_ROUTE}/users/refresh-token`)
+      .send({ refreshToken });
+
+    expect(refreshStatusCode).toBe(401);
+
+    const {
+      statusCode: reuseStatusCode,
+      body: { message: reuseMessage },
+    } = await request(app).post(`${API_ROUTE}/users/not-me/${alertToken}`);
+
+    expect(reuseStatusCode).toBe(400);
+    expect(reuseMessage).toBe('Token is invalid or has expired.');
+  });
+
+  it('200: Earlier alert still reported after a new one', async () => {
+    const alertTokens = mockAlerts();
+
+    await loginWith(FIREFOX);
+    await loginWith(SAFARI);
+    await loginWith(CHROME);
+
+    expect(alertTokens).toHaveLength(2);
+
+    const [firstAlertToken, secondAlertToken] = alertTokens;
+
+    const { statusCode } = await request(app).post(
+      `${API_ROUTE}/users/not-me/${firstAlertToken}`
+    );
+
+    expect(statusCode).toBe(200);
+
+    // Every alert is answered by the first report
+    const { statusCode: secondStatusCode } = await request(app).post(
+      `${API_ROUTE}/users/not-me/${secondAlertToken}`
+    );
+
+    expect(secondStatusCode).toBe(400);
+  });
+});
+
+describe('Account locked e-mail', () => {
+  it('Duration of the lock taken from its setting', async () => {
+    jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+    const duration = LOGIN_LOCK_DURATION / (60 * 1000);
+
+    // The previous failures are old enough not to delay the next attempt
+    await User.findByIdAndUpdate(student._id, {
+      failedLoginAttempts: LOGIN_LOCK_THRESHOLD - 1,
+      lastFailedLogin: Date.now() - 24 * 60 * 60 * 1000,
+    });
+
+    await loginWith(FIREFOX, 'Wrong@1234');
+
+    expect(Email.prototype.send).toHaveBeenCalledWith(
+      'accountLocked',
+      'Your account was temporarily locked',
+      { duration }
+    );
+
+    const html = await ejs.renderFile(
+      `${__dirname}/../views/emails/partials/_accountLocked.ejs`,
+      { duration, url: 'https://learn-at-home.test/forgot-password' }
+    );
+
+    expect(html).toContain(`it has been locked for ${duration} minutes.`);
+  });
+});
@@ -0,0 +1,186 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Role = require('../models/roleModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const { enrollStudent } = require('../utils/services/supervision');
+
+const adminObj = {
+  username: 'permissions_admin',
+  email: 'permissions_admin@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'admin',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const teacherObj = {
+  ...adminObj,
+  username: 'permissions_teacher',
+  email: 'permissions_teacher@learn-at-home.test',
+  role: 'teacher',
+};
+
+const studentObj = {
+  ...adminObj,
+  username: 'permissions_student',
+  email: 'permissions_student@learn-at-home.test',
+  role: 'student',
+};
+
+const emails = [adminObj.email, teacherObj.email, studentObj.email];
+
+let teacher;
+let student;
+let ids;
+let storedStudentRole;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  const users = await User.create([adminObj, teacherObj, studentObj]);
+  ids = users.map(({ _id }) => _id);
+  [, teacher, student] = users;
+  storedStudentRole = await Role.findOne({ name: 'student' }).lean();
+});
+
+afterAll(async () => {
+  await TeachingDemand.deleteMany({ sender: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+afterEach(async () => {
+  // The policy of the students is shared with the other tests
+  await Role.deleteOne({ name: 'student' });
+  if (storedStudentRole) await Role.create(storedStudentRole);
+});
+
+const getDemands = async userObj =>
+  await request(app)
+    .get(`${API_ROUTE}/teaching-demands`)
+    .set('Authorization', `Bearer ${await loginAs(userObj)}`);
+
+describe('/roles', () => {
+  it('403: Roles managed without the permission', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .get(`${API_ROUTE}/roles`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(statusCode).toBe(403);
+    expect(status).toBe('fail');
+    expect(message).toBe("You don't have permission to perform this action.");
+  });
+
+  it('200: Permission removed from a role and enforced right away', async () => {
+    const { permissions } = await Role.getPolicy('student');
+
+    const {
+      statusCode,
+      body: { status },
+    } = await request(app)
+      .patch(`${API_ROUTE}/roles/student`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`)
+      .send({
+        permissions: permissions.filter(
+          permission => permission !== 'teaching-demands.read'
+        ),
+      });
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+
+    const { statusCode: demandsStatusCode } = await getDemands(studentObj);
+    expect(demandsStatusCode).toBe(403);
+  });
+
+  it('400: Admin role losing the roles management', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .patch(`${API_ROUTE}/roles/admin`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`)
+      .send({ permissions: ['users.manage'] });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      'The admin role must keep the roles.manage permission.'
+    );
+  });
+
+  it('500: Unknown permission', async () => {
+    const {
+      statusCode,
+      body: {
+        error: { name },
+      },
+    } = await request(app)
+      .patch(`${API_ROUTE}/roles/student`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`)
+      .send({ permissions: ['users.everything'] });
+
+    expect(statusCode).toBe(500);
+    expect(name).toBe('ValidationError');
+    expect((await Role.getPolicy('student')).permissions).not.toContain(
+      'users.everything'
+    );
+  });
+});
+
+describe('Permission based views', () => {
+  it('200: Demands listed from the demand permissions', async () => {
+    const demand = await TeachingDemand.create({
+      sender: student._id,
+      receiver: teacher._id,
+      sent: Date.now(),
+    });
+
+    const {
+      body: {
+        data: { teachingDemands: sentDemands },
+      },
+    } = await getDemands(studentObj);
+    const {
+      body: {
+        data: { teachingDemands: receivedDemands },
+      },
+    } = await getDemands(teacherObj);
+
+    expect(sentDemands.map(({ _id }) => _id)).toContain(demand.id);
+    expect(receivedDemands.map(({ _id }) => _id)).toContain(demand.id);
+
+    await TeachingDemand.findByIdAndDelete(demand._id);
+  });
+
+  it('200: Supervisor shown to the users who can send demands', async () => {
+    await enrollStudent(student.id, teacher.id);
+
+    const {
+      statusCode,
+      body: {
+        data: { user },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect(statusCode).toBe(200);
+    expect(user.supervisor.username).toBe(teacherObj.username);
+  });
+});
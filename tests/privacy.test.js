@@ -0,0 +1,268 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Message = require('../models/messageModel');
+
+const ownerObj = {
+  username: 'privacy_owner',
+  email: 'privacy_owner@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const contactObj = {
+  ...ownerObj,
+  username: 'privacy_contact',
+  email: 'privacy_contact@learn-at-home.test',
+};
+
+const viewerObj = {
+  ...ownerObj,
+  username: 'privacy_viewer',
+  email: 'privacy_viewer@learn-at-home.test',
+};
+
+const adminObj = {
+  ...ownerObj,
+  username: 'privacy_admin',
+  email: 'privacy_admin@learn-at-home.test',
+  role: 'admin',
+};
+
+const teacherObj = {
+  ...ownerObj,
+  username: 'privacy_teacher',
+  email: 'privacy_teacher@learn-at-home.test',
+  role: 'teacher',
+};
+
+const emails = [
+  ownerObj.email,
+  contactObj.email,
+  viewerObj.email,
+  adminObj.email,
+  teacherObj.email,
+];
+
+let owner;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+const setPrivacy = async settings =>
+  await request(app)
+    .patch(`${API_ROUTE}/users/me/privacy`)
+    .set('Authorization', `Bearer ${await loginAs(ownerObj)}`)
+    .send(settings);
+
+const getProfile = async userObj => {
+  const req = request(app).get(`${API_ROUTE}/users/${owner.id}`);
+
+  return userObj
+    ? await req.set('Authorization', `Bearer ${await loginAs(userObj)}`)
+    : await req;
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  const users = await User.create([
+    contactObj,
+    viewerObj,
+    adminObj,
+    teacherObj,
+  ]);
+  const [contact, , , teacher] = users;
+  owner = await User.create({
+    ...ownerObj,
+    contacts: [contact._id],
+    supervisor: teacher._id,
+  });
+  await User.findByIdAndUpdate(teacher.id, { supervised: [owner._id] });
+  ids = [owner, ...users].map(({ _id }) => _id);
+});
+
+afterAll(async () => {
+  await Message.deleteMany({ receiver: owner._id });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await setPrivacy({
+    messages: 'everyone',
+    invitations: 'everyone',
+    profile: 'everyone',
+    onlineStatus: 'everyone',
+  });
+});
+
+describe('PATCH /users/me/privacy', () => {
+  it('200: Only the provided settings replaced', async () => {
+    const {
+      statusCode,
+      body: {
+        data: { privacy },
+      },
+    } = await setPrivacy({ messages: 'contacts' });
+
+    expect(statusCode).toBe(200);
+    expect(privacy).toEqual({
+      messages: 'contacts',
+      invitations: 'everyone',
+      profile: 'everyone',
+      onlineStatus: 'everyone',
+    });
+  });
+
+  it('500: Invalid level', async () => {
+    const {
+      statusCode,
+      body: {
+        error: { name },
+        message,
+      },
+    } = await setPrivacy({ profile: 'friends' });
+
+    expect(statusCode).toBe(500);
+    expect(name).toBe('ValidationError');
+    expect(message).toMatch(
+      'The profile setting must be one of: everyone, contacts, supervision, nobody.'
+    );
+  });
+});
+
+describe('Profile visibility', () => {
+  it('200: Public profile seen without being logged in', async () => {
+    const { statusCode } = await getProfile();
+
+    expect(statusCode).toBe(200);
+  });
+
+  it('403: Profile restricted to the contacts', async () => {
+    await setPrivacy({ profile: 'contacts' });
+
+    const { statusCode: anonymousStatusCode } = await getProfile();
+    expect(anonymousStatusCode).toBe(401);
+
+    const {
+      statusCode,
+      body: { message },
+    } = await getProfile(viewerObj);
+    expect(statusCode).toBe(403);
+    expect(message).toBe('This profile is private.');
+
+    expect((await getProfile(contactObj)).statusCode).toBe(200);
+    expect((await getProfile(teacherObj)).statusCode).toBe(403);
+  });
+
+  it('200: Hidden profile seen by the admins only', async () => {
+    await setPrivacy({ profile: 'nobody' });
+
+    expect((await getProfile(contactObj)).statusCode).toBe(403);
+    expect((await getProfile(adminObj)).statusCode).toBe(200);
+  });
+
+  it('200: Hidden profiles left out of the users list', async () => {
+    await setPrivacy({ profile: 'supervision' });
+
+    const listUsers = async userObj => {
+      const {
+        body: {
+          data: { users },
+        },
+      } = await request(app)
+        .get(`${API_ROUTE}/users`)
+        .query({ username: owner.username })
+        .set('Authorization', `Bearer ${await loginAs(userObj)}`);
+
+      return users.map(({ _id }) => _id);
+    };
+
+    expect(await listUsers(viewerObj)).toEqual([]);
+    expect(await listUsers(teacherObj)).toEqual([owner.id]);
+  });
+});
+
+describe('GET /users/:id/status', () => {
+  it('403: Online status shared with nobody', async () => {
+    await setPrivacy({ onlineStatus: 'nobody' });
+
+    const {
+      statusCode,
+      body: { message },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/${owner.id}/status`)
+      .set('Authorization', `Bearer ${await loginAs(contactObj)}`);
+
+    expect(statusCode).toBe(403);
+    expect(message).toBe("This user doesn't share the online status with you.");
+  });
+
+  it('200: Online status shared with the contacts', async () => {
+    await setPrivacy({ onlineStatus: 'contacts' });
+
+    const {
+      statusCode,
+      body: { data },
+    } = await request(app)
+      .get(`${API_ROUTE}/users/${owner.id}/status`)
+      .set('Authorization', `Bearer ${await loginAs(contactObj)}`);
+
+    expect(statusCode).toBe(200);
+    expect(data.connected).toBe(false);
+  });
+});
+
+describe('Messages and invitations', () => {
+  it('403: Messages restricted to the supervision', async () => {
+    await setPrivacy({ messages: 'supervision' });
+
+    const sendMessage = async senderObj =>
+      await request(app)
+        .post(`${API_ROUTE}/messages/conversation/${owner.id}`)
+        .set('Authorization', `Bearer ${await loginAs(senderObj)}`)
+        .send({ content: 'Hello' });
+
+    const {
+      statusCode,
+      body: { message },
+    } = await sendMessage(contactObj);
+
+    expect(statusCode).toBe(403);
+    expect(message).toBe("This user doesn't accept messages from you.");
+    expect((await sendMessage(teacherObj)).statusCode).toBe(201);
+  });
+
+  it('403: Invitations restricted to the contacts', async () => {
+    await setPrivacy({ invitations: 'contacts' });
+
+    const {
+      statusCode,
+      body: { message },
+    } = await request(app)
+      .patch(`${API_ROUTE}/users/contacts/${owner.id}/invite`)
+      .set('Authorization', `Bearer ${await loginAs(viewerObj)}`);
+
+    expect(statusCode).toBe(403);
+    expect(message).toBe(
+      "This user doesn't accept contact invitations from you."
+    );
+  });
+});
@@ -0,0 +1,289 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const {
+  IMPORT_ROWS_LIMIT,
+  IMPORT_FILE_MAX_SIZE,
+  IMPORT_CONCURRENCY,
+} = require('../utils/globals');
+
+const adminObj = {
+  username: 'provisioning_admin',
+  email: 'provisioning_admin@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'admin',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const teacherObj = {
+  ...adminObj,
+  username: 'provisioning_teacher',
+  email: 'provisioning_teacher@learn-at-home.test',
+  role: 'teacher',
+};
+
+// Every account created by the tests has a username starting with the prefix
+const prefix = 'provisioning_new';
+const createdUsers = { username: new RegExp(`^${prefix}_`) };
+
+let teacher;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+const importCsv = async (content, values = {}) => {
+  let req = request(app)
+    .post(`${API_ROUTE}/users/import`)
+    .set('Authorization', `Bearer ${await loginAs(adminObj)}`)
+    .attach('file', Buffer.from(content), 'users.csv');
+
+  Object.entries(values).forEach(([name, value]) => {
+    req = req.field(name, value);
+  });
+
+  return await req;
+};
+
+const csvRow = (name, role = '') =>
+  `${prefix}_${name},${prefix}_${name}@learn-at-home.test,Werner,Schmid,${role}`;
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  const users = await User.create([adminObj, teacherObj]);
+  ids = users.map(({ _id }) => _id);
+  [, teacher] = users;
+});
+
+afterAll(async () => {
+  await TeachingDemand.deleteMany({ receiver: teacher._id });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany(createdUsers);
+  await User.deleteMany({ _id: { $in: ids } });
+  await mongoose.connection.close();
+});
+
+beforeEach(() => {
+  jest.spyOn(Email.prototype, 'sendAccountCreated').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /users', () => {
+  it('201: Confirmed account created with a link to choose the password', async () => {
+    const {
+      statusCode,
+      body: {
+        status,
+        data: { user },
+      },
+    } = await request(app)
+      .post(`${API_ROUTE}/users`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`)
+      .send({
+        username: `${prefix}_single`,
+        email: `${prefix}_single@learn-at-home.test`,
+        firstname: 'Werner',
+        lastname: 'Schmid',
+        supervisor: teacherObj.username,
+      });
+
+    expect(statusCode).toBe(201);
+    expect(status).toBe('success');
+    expect(user.role).toBe('student');
+    expect(Email.prototype.sendAccountCreated).toHaveBeenCalled();
+
+    const student = await User.findById(user._id).select(
+      '+isConfirmed +supervisor'
+    );
+    expect(student.isConfirmed).toBe(true);
+    expect(student.supervisor.valueOf()).toBe(teacher.id);
+  });
+
+  it('400: Admin account refused', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`)
+      .send({
+        username: `${prefix}_admin`,
+        email: `${prefix}_admin@learn-at-home.test`,
+        firstname: 'Werner',
+        lastname: 'Schmid',
+        role: 'admin',
+      });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      'The role must be one of: teacher, student, guardian.'
+    );
+    expect(await User.exists({ username: `${prefix}_admin` })).toBeNull();
+  });
+
+  it('403: Account created without the permission', async () => {
+    const {
+      statusCode,
+      body: { status },
+    } = await request(app)
+      .post(`${API_ROUTE}/users`)
+      .set('Authorization', `Bearer ${await loginAs(teacherObj)}`)
+      .send({ username: `${prefix}_teacher` });
+
+    expect(statusCode).toBe(403);
+    expect(status).toBe('fail');
+  });
+});
+
+describe('POST /users/import', () => {
+  it('200: Each row created or refused independently', async () => {
+    const {
+      statusCode,
+      body: {
+        status,
+        data: { created, failed, results },
+      },
+    } = await importCsv(
+      [
+        'username,email,firstname,lastname,role',
+        csvRow('first'),
+        csvRow('second', 'guardian'),
+        `${prefix}_invalid,not-an-email,Werner,Schmid,`,
+        csvRow('admin', 'admin'),
+      ].join('\n'),
+      { supervisor: teacherObj.username }
+    );
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(created).toBe(2);
+    expect(failed).toBe(2);
+    expect(results.map(({ status }) => status)).toEqual([
+      'created',
+      'created',
+      'failed',
+      'failed',
+    ]);
+    expect(results[0].row).toBe(2);
+    expect(results[3].message).toBe(
+      'The role must be one of: teacher, student, guardian.'
+    );
+
+    const guardian = await User.findOne({ username: `${prefix}_second` });
+    expect(guardian.role).toBe('guardian');
+    expect(await User.exists({ username: `${prefix}_admin` })).toBeNull();
+  });
+
+  it('200: Value repeated in the file only created for its first row', async () => {
+    const {
+      statusCode,
+      body: {
+        data: { created, failed, results },
+      },
+    } = await importCsv(
+      [
+        'username,email,firstname,lastname,role',
+        csvRow('repeated'),
+        `${prefix}_other,${prefix}_REPEATED@learn-at-home.test,Werner,Schmid,`,
+      ].join('\n')
+    );
+
+    expect(statusCode).toBe(200);
+    expect(created).toBe(1);
+    expect(failed).toBe(1);
+    expect(results[1].status).toBe('failed');
+    expect(results[1].message).toBe(
+      `Duplicate field value: "${prefix}_repeated@learn-at-home.test" (already used on the row 2).`
+    );
+    expect(await User.exists({ username: `${prefix}_other` })).toBeNull();
+  });
+
+  it('200: Rows of several chunks created in the order of the file', async () => {
+    const names = Array.from(
+      { length: IMPORT_CONCURRENCY + 2 },
+      (_, index) => `chunk${index}`
+    );
+
+    const {
+      statusCode,
+      body: {
+        data: { created, results },
+      },
+    } = await importCsv(
+      [
+        'username,email,firstname,lastname,role',
+        ...names.map(name => csvRow(name)),
+      ].join('\n')
+    );
+
+    expect(statusCode).toBe(200);
+    expect(created).toBe(names.length);
+    expect(results.map(({ row }) => row)).toEqual(
+      names.map((_, index) => index + 2)
+    );
+    expect(results.map(({ user }) => user.username)).toEqual(
+      names.map(name => `${prefix}_${name}`)
+    );
+    expect(Email.prototype.sendAccountCreated).toHaveBeenCalledTimes(
+      names.length
+    );
+  });
+
+  it('400: Too many rows', async () => {
+    const rows = Array.from({ length: IMPORT_ROWS_LIMIT + 1 }, (_, index) =>
+      csvRow(`row${index}`)
+    );
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await importCsv(
+      ['username,email,firstname,lastname,role', ...rows].join('\n')
+    );
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      `The CSV file must contain between 1 and ${IMPORT_ROWS_LIMIT} users.`
+    );
+    expect(await User.exists({ username: `${prefix}_row0` })).toBeNull();
+  });
+
+  it('413: File too large', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await importCsv('a'.repeat(IMPORT_FILE_MAX_SIZE + 1));
+
+    expect(statusCode).toBe(413);
+    expect(status).toBe('fail');
+    expect(message).toBe('The CSV file must not exceed 1024 KB.');
+  });
+
+  it('400: Missing file', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/import`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('Please upload a CSV file.');
+  });
+});
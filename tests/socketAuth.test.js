@@ -0,0 +1,131 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { authenticateSocket } = require('../utils/services/socketAuth');
+const { getUserRoom } = require('../utils/services/socketRelay');
+
+const studentObj = {
+  username: 'socketauth_student',
+  email: 'socketauth_student@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'student',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const adminObj = {
+  ...studentObj,
+  username: 'socketauth_admin',
+  email: 'socketauth_admin@learn-at-home.test',
+  role: 'admin',
+};
+
+const emails = [studentObj.email, adminObj.email];
+
+let student;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+// Handshake of a client sending the token in its auth data or in the cookie
+const createSocket = ({ token, cookie } = {}) => ({
+  handshake: { auth: token ? { token } : {} },
+  request: { cookies: cookie ? { jwt: cookie } : {} },
+  data: {},
+  rooms: [],
+  join(room) {
+    this.rooms.push(room);
+  },
+});
+
+const authenticate = async socket => {
+  const next = jest.fn();
+  await authenticateSocket(socket, next);
+
+  const [err] = next.mock.calls[0];
+  return err;
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  const users = await User.create([studentObj, adminObj]);
+  ids = users.map(({ _id }) => _id);
+  [student] = users;
+});
+
+afterAll(async () => {
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+describe('authenticateSocket', () => {
+  it('Accepts a valid token and joins the rooms of the user', async () => {
+    const socket = createSocket({ token: await loginAs(studentObj) });
+
+    expect(await authenticate(socket)).toBeUndefined();
+    expect(socket.data.userId).toBe(student.id);
+    expect(socket.rooms).toContain(getUserRoom(student.id));
+    expect(socket.rooms.some(room => room.startsWith('token:'))).toBe(true);
+  });
+
+  it('Accepts the token of the cookie', async () => {
+    const socket = createSocket({ cookie: await loginAs(studentObj) });
+
+    expect(await authenticate(socket)).toBeUndefined();
+    expect(socket.data.userId).toBe(student.id);
+  });
+
+  it('Refuses a missing or invalid token', async () => {
+    expect((await authenticate(createSocket())).message).toBe(
+      'You are not logged in! Please log in to get access.'
+    );
+    expect(
+      (await authenticate(createSocket({ token: 'invalid' }))).message
+    ).toBe('Invalid token. Please log in again!');
+  });
+
+  it('Refuses a token revoked by a logout', async () => {
+    const token = await loginAs(studentObj);
+    await request(app)
+      .post(`${API_ROUTE}/users/logout`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect((await authenticate(createSocket({ token }))).message).toBe(
+      'This token was revoked. Please log in again.'
+    );
+  });
+
+  it('Refuses an impersonation token', async () => {
+    const {
+      body: { token },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/${student.id}/impersonate`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`);
+
+    expect((await authenticate(createSocket({ token }))).message).toBe(
+      'Your session has expired or was revoked. Please log in again.'
+    );
+  });
+
+  it('Refuses a token whose session was revoked', async () => {
+    const token = await loginAs(studentObj);
+    // Signing out the other devices revokes the session of the first token
+    await request(app)
+      .delete(`${API_ROUTE}/users/me/sessions`)
+      .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+    expect((await authenticate(createSocket({ token }))).message).toBe(
+      'Your session has expired or was revoked. Please log in again.'
+    );
+  });
+});
@@ -0,0 +1,186 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const { enrollStudent } = require('../utils/services/supervision');
+
+// Subject taught by the teachers of these tests only
+const subject = 'teacherprofile_subject';
+
+const mathTeacherObj = {
+  username: 'teacherprofile_math',
+  email: 'teacherprofile_math@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'teacher',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const fullTeacherObj = {
+  ...mathTeacherObj,
+  username: 'teacherprofile_full',
+  email: 'teacherprofile_full@learn-at-home.test',
+};
+
+const studentObj = {
+  ...mathTeacherObj,
+  username: 'teacherprofile_student',
+  email: 'teacherprofile_student@learn-at-home.test',
+  role: 'student',
+};
+
+const enrolledStudentObj = {
+  ...studentObj,
+  username: 'teacherprofile_enrolled',
+  email: 'teacherprofile_enrolled@learn-at-home.test',
+};
+
+const emails = [
+  mathTeacherObj.email,
+  fullTeacherObj.email,
+  studentObj.email,
+  enrolledStudentObj.email,
+];
+
+let mathTeacher;
+let fullTeacher;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+const updateProfile = async (userObj, profile) =>
+  await request(app)
+    .patch(`${API_ROUTE}/users/me/teacher-profile`)
+    .set('Authorization', `Bearer ${await loginAs(userObj)}`)
+    .send(profile);
+
+const getTeachers = async query => {
+  const {
+    statusCode,
+    body: { data, message },
+  } = await request(app)
+    .get(`${API_ROUTE}/teaching-demands/available-teachers`)
+    .query({ subject, ...query })
+    .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+  return [statusCode, data?.teachers.map(({ _id }) => _id), message];
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+
+  const users = await User.create([
+    mathTeacherObj,
+    fullTeacherObj,
+    studentObj,
+    enrolledStudentObj,
+  ]);
+  ids = users.map(({ _id }) => _id);
+  const [, , , enrolledStudent] = users;
+  [mathTeacher, fullTeacher] = users;
+
+  await updateProfile(mathTeacherObj, {
+    subjects: [{ name: subject, levels: ['secondary'] }],
+    languages: ['fr', 'en'],
+    availability: [{ day: 'Mon', start: '14:00', end: '18:00' }],
+  });
+  await updateProfile(fullTeacherObj, {
+    subjects: [{ name: subject, levels: ['university'] }],
+    languages: ['de'],
+    availability: [{ day: 'Wed', start: '08:00', end: '12:00' }],
+    maxStudents: 1,
+  });
+  await enrollStudent(enrolledStudent.id, fullTeacher.id);
+
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await TeachingDemand.deleteMany({ receiver: { $in: ids } });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+describe('PATCH /users/me/teacher-profile', () => {
+  it('200: Only the provided fields replaced', async () => {
+    const {
+      statusCode,
+      body: {
+        data: { teacherProfile },
+      },
+    } = await updateProfile(mathTeacherObj, { bio: 'Maths teacher' });
+
+    expect(statusCode).toBe(200);
+    expect(teacherProfile.bio).toBe('Maths teacher');
+    expect(teacherProfile.languages).toEqual(['fr', 'en']);
+  });
+
+  it('500: Invalid availability', async () => {
+    const {
+      statusCode,
+      body: {
+        error: { name },
+        message,
+      },
+    } = await updateProfile(mathTeacherObj, {
+      availability: [{ day: 'Mon', start: '18:00', end: '14:00' }],
+    });
+
+    expect(statusCode).toBe(500);
+    expect(name).toBe('ValidationError');
+    expect(message).toMatch('The end time must be after the start time.');
+  });
+
+  it('403: Profile of a student', async () => {
+    const {
+      statusCode,
+      body: { status },
+    } = await updateProfile(studentObj, { bio: 'Student' });
+
+    expect(statusCode).toBe(403);
+    expect(status).toBe('fail');
+  });
+});
+
+describe('GET /teaching-demands/available-teachers', () => {
+  it('200: Teachers filtered on the subject and the level', async () => {
+    const [statusCode, teachers] = await getTeachers();
+    expect(statusCode).toBe(200);
+    expect(teachers.sort()).toEqual([mathTeacher.id, fullTeacher.id].sort());
+
+    const [, secondaryTeachers] = await getTeachers({ level: 'secondary' });
+    expect(secondaryTeachers).toEqual([mathTeacher.id]);
+  });
+
+  it('200: Teachers filtered on the language and the availability', async () => {
+    const [, germanTeachers] = await getTeachers({ language: 'DE' });
+    expect(germanTeachers).toEqual([fullTeacher.id]);
+
+    const [, mondayTeachers] = await getTeachers({ day: 'Mon' });
+    expect(mondayTeachers).toEqual([mathTeacher.id]);
+  });
+
+  it('200: Full teachers left out of the available ones', async () => {
+    const [, teachers] = await getTeachers({ available: 'true' });
+
+    expect(teachers).toEqual([mathTeacher.id]);
+  });
+
+  it('400: Invalid sort field', async () => {
+    const [statusCode, , message] = await getTeachers({ sort: 'password' });
+
+    expect(statusCode).toBe(400);
+    expect(message).toMatch(/^Invalid sort field/);
+  });
+});
@@ -0,0 +1,165 @@
+const { authenticator } = require('otplib');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+
+const teacherObj = {
+  username: 'twofactor_teacher',
+  email: 'twofactor_teacher@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'teacher',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const loginObj = {
+  username: teacherObj.username,
+  password: teacherObj.password,
+};
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  await User.create(teacherObj);
+});
+
+afterAll(async () => {
+  const { _id: id } = await User.findOne({ email: teacherObj.email });
+  await Session.deleteMany({ user: id });
+  await User.deleteMany({ email: teacherObj.email });
+  await mongoose.connection.close();
+});
+
+describe('/users/me/2fa', () => {
+  let token;
+  let secret;
+  let recoveryCodes;
+
+  it('200: Setup confirmed with a generated code', async () => {
+    ({
+      body: { token },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj));
+
+    const {
+      statusCode,
+      body: { status, data },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/me/2fa`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(data.otpauthUrl).toMatch(/^otpauth:\/\//);
+    ({ secret } = data);
+
+    const { statusCode: invalidStatusCode } = await request(app)
+      .post(`${API_ROUTE}/users/me/2fa/verify`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+
+    expect(invalidStatusCode).toBe(401);
+
+    const {
+      statusCode: verifyStatusCode,
+      body: {
+        data: { recoveryCodes: codes },
+      },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/me/2fa/verify`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: authenticator.generate(secret) });
+
+    expect(verifyStatusCode).toBe(200);
+    expect(codes.length).toBe(10);
+    recoveryCodes = codes;
+  });
+
+  it('400: Second factor disabled through the profile update', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .patch(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: [],
+      });
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      "These fields can't be updated: twoFactorEnabled, twoFactorSecret, twoFactorRecoveryCodes."
+    );
+
+    const user = await User.findOne({ email: teacherObj.email }).select(
+      '+twoFactorEnabled'
+    );
+    expect(user.twoFactorEnabled).toBe(true);
+  });
+
+  it('200: Login asking for the second factor', async () => {
+    const {
+      statusCode,
+      body: { token: loginToken, twoFactorRequired, twoFactorToken },
+    } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+    expect(statusCode).toBe(200);
+    expect(loginToken).toBeUndefined();
+    expect(twoFactorRequired).toBe(true);
+
+    const {
+      statusCode: invalidStatusCode,
+      body: { message },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/login/2fa`)
+      .send({ twoFactorToken, code: '000000' });
+
+    expect(invalidStatusCode).toBe(401);
+    expect(message).toBe('Invalid authentication code.');
+
+    const {
+      statusCode: validStatusCode,
+      body: { token: twoFactorLoginToken },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/login/2fa`)
+      .send({ twoFactorToken, code: authenticator.generate(secret) });
+
+    expect(validStatusCode).toBe(200);
+    expect(twoFactorLoginToken).toBeTruthy();
+  });
+
+  it('200: Recovery code usable only once', async () => {
+    const [recoveryCode] = recoveryCodes;
+
+    const loginWithRecoveryCode = async () => {
+      const {
+        body: { twoFactorToken },
+      } = await request(app).post(`${API_ROUTE}/users/login`).send(loginObj);
+
+      return await request(app)
+        .post(`${API_ROUTE}/users/login/2fa`)
+        .send({ twoFactorToken, recoveryCode });
+    };
+
+    const { statusCode } = await loginWithRecoveryCode();
+    expect(statusCode).toBe(200);
+
+    const { statusCode: reuseStatusCode } = await loginWithRecoveryCode();
+    expect(reuseStatusCode).toBe(401);
+  });
+
+  it('400: Missing authentication code', async () => {
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app).post(`${API_ROUTE}/users/login/2fa`).send({});
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe(
+      'Please provide your login token and your authentication code.'
+    );
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const { BlobClient } = require('@azure/storage-blob');
+const { default: mkdirp } = require('mkdirp');
+const User = require('../models/userModel');
+const Message = require('../models/messageModel');
+const Event = require('../models/eventModel');
+const Task = require('../models/taskModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const Session = require('../models/sessionModel');
+const AuditLog = require('../models/auditLogModel');
+const { USERS_FOLDER, CONVERSATIONS_FOLDER } = require('../utils/globals');
+const { deleteUserCascade } = require('../utils/services/userDeletion');
+const { enrollStudent } = require('../utils/services/supervision');
+const { getConversationFolder } = require('../utils/services/storage');
+
+const STORAGE_ACCOUNT = 'learnathometest';
+
+const teacherObj = {
+  username: 'deletion_teacher',
+  email: 'deletion_teacher@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'teacher',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+};
+
+const studentObj = {
+  ...teacherObj,
+  username: 'deletion_student',
+  email: 'deletion_student@learn-at-home.test',
+  role: 'student',
+};
+
+const adminObj = {
+  ...teacherObj,
+  username: 'deletion_admin',
+  email: 'deletion_admin@learn-at-home.test',
+  role: 'admin',
+};
+
+const emails = [teacherObj.email, studentObj.email, adminObj.email];
+
+const { AZURE_ACCOUNT_NAME, AZURE_CONNECTION_STRING } = process.env;
+
+let teacher;
+let student;
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  teacher = await User.create(teacherObj);
+  await User.create(adminObj);
+
+  // The files of this account are recognized as stored, their deletion is mocked
+  process.env.AZURE_ACCOUNT_NAME = STORAGE_ACCOUNT;
+  process.env.AZURE_CONNECTION_STRING = `DefaultEndpointsProtocol=https;AccountName=${STORAGE_ACCOUNT};AccountKey=${Buffer.from(
+    'key'
+  ).toString('base64')};EndpointSuffix=core.windows.net`;
+});
+
+afterAll(async () => {
+  process.env.AZURE_ACCOUNT_NAME = AZURE_ACCOUNT_NAME;
+  process.env.AZURE_CONNECTION_STRING = AZURE_CONNECTION_STRING;
+
+  const users = await User.find({ email: { $in: emails } }, null, {
+    disableMiddlewares: true,
+  });
+  const ids = users.map(({ _id }) => _id);
+  await Session.deleteMany({ user: { $in: ids } });
+  await TeachingDemand.deleteMany({ receiver: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+describe('deleteUserCascade', () => {
+  let blobSpy;
+
+  beforeEach(async () => {
+    blobSpy = jest
+      .spyOn(BlobClient.prototype, 'deleteIfExists')
+      .mockResolvedValue({ succeeded: true });
+    student = await User.create(studentObj);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await Message.deleteMany({ sender: student._id });
+    await Task.deleteMany({ performer: student._id });
+    await Session.deleteMany({ user: student._id });
+    await User.deleteMany({ email: studentObj.email });
+  });
+
+  it('Removes the user with every reference to him', async () => {
+    const studentId = student._id;
+    const photoFile = `user-${student.id}-${Date.now()}.jpeg`;
+    fs.writeFileSync(`${USERS_FOLDER}/${photoFile}`, '');
+
+    const folder = getConversationFolder(student.id, teacher.id);
+    await mkdirp(`${CONVERSATIONS_FOLDER}/${folder}`);
+    fs.writeFileSync(`${CONVERSATIONS_FOLDER}/${folder}/homework.jpeg`, '');
+
+    await User.findByIdAndUpdate(studentId, {
+      photo: `https://${STORAGE_ACCOUNT}.blob.core.windows.net/public/${photoFile}`,
+      $addToSet: { contacts: teacher._id },
+    });
+    await User.findByIdAndUpdate(teacher._id, {
+      $addToSet: { contacts: studentId, blocked: studentId },
+    });
+    await enrollStudent(student.id, teacher.id);
+
+    await Message.create({
+      content: 'Hello',
+      sender: studentId,
+      receiver: teacher._id,
+      sent: Date.now(),
+      indexMessage: 1,
+      files: [
+        `https://${STORAGE_ACCOUNT}.blob.core.windows.net/public/homework.jpeg`,
+      ],
+    });
+    const event = await Event.create({
+      title: 'Lesson',
+      description: 'Weekly lesson',
+      beginning: Date.now(),
+      end: Date.now() + 60 * 60 * 1000,
+      organizer: teacher._id,
+      guests: [studentId],
+    });
+    await Task.create({
+      title: 'Homework',
+      performer: studentId,
+      validator: teacher._id,
+    });
+    await request(app)
+      .post(`${API_ROUTE}/users/login`)
+      .send({ username: studentObj.username, password: studentObj.password });
+
+    const report = await deleteUserCascade(studentId);
+
+    expect(report).toMatchObject({
+      user: 1,
+      photo: 1,
+      messages: 1,
+      attachments: 1,
+      eventParticipations: 1,
+      tasks: 1,
+      teachingDemands: 1,
+      supervisors: 1,
+      contacts: 1,
+      blockedBy: 1,
+      sessions: 1,
+    });
+    expect(
+      await User.findById(studentId, null, { disableMiddlewares: true })
+    ).toBeNull();
+    expect(fs.existsSync(`${USERS_FOLDER}/${photoFile}`)).toBe(false);
+    expect(
+      fs.existsSync(`${CONVERSATIONS_FOLDER}/${folder}/homework.jpeg`)
+    ).toBe(false);
+    // The photo and the attachment are removed from the storage account too
+    expect(blobSpy).toHaveBeenCalledTimes(2);
+    expect(await Message.exists({ sender: studentId })).toBeNull();
+    expect(await Task.exists({ performer: studentId })).toBeNull();
+    expect(await TeachingDemand.exists({ sender: studentId })).toBeNull();
+    expect(await Session.exists({ user: studentId })).toBeNull();
+    expect((await Event.findById(event._id)).guests).toEqual([]);
+
+    const updatedTeacher = await User.findById(teacher._id).select(
+      '+contacts +blocked +supervised'
+    );
+    expect(updatedTeacher.contacts).not.toContainEqual(studentId);
+    expect(updatedTeacher.blocked).not.toContainEqual(studentId);
+    expect(updatedTeacher.supervised).not.toContainEqual(studentId);
+
+    // The security trail outlives the account
+    expect(await AuditLog.exists({ user: studentId, event: 'login' })).not.toBe(
+      null
+    );
+
+    await Event.findByIdAndDelete(event._id);
+  });
+
+  it('Keeps the default photo', async () => {
+    const report = await deleteUserCascade(student._id);
+
+    expect(report.user).toBe(1);
+    expect(report.photo).toBe(0);
+    expect(blobSpy).not.toHaveBeenCalled();
+  });
+
+  it('Keeps the account if a stored file fails to be deleted', async () => {
+    blobSpy.mockRejectedValue(new Error('Storage unavailable'));
+    await User.findByIdAndUpdate(student._id, {
+      photo: `https://${STORAGE_ACCOUNT}.blob.core.windows.net/public/user-${student.id}.jpeg`,
+    });
+
+    await expect(deleteUserCascade(student._id)).rejects.toThrow(
+      'Storage unavailable'
+    );
+    expect(await User.findById(student._id)).not.toBeNull();
+  });
+});
+
+describe('DELETE /users/:id', () => {
+  beforeEach(async () => {
+    student = await User.create(studentObj);
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({ email: studentObj.email });
+  });
+
+  it('200: Deletion by an admin with the report of the removed data', async () => {
+    const {
+      body: { token },
+    } = await request(app)
+      .post(`${API_ROUTE}/users/login`)
+      .send({ username: adminObj.username, password: adminObj.password });
+
+    const {
+      statusCode,
+      body: {
+        status,
+        data: { report },
+      },
+    } = await request(app)
+      .delete(`${API_ROUTE}/users/${student.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusCode).toBe(200);
+    expect(status).toBe('success');
+    expect(report.user).toBe(1);
+    expect(await User.findById(student._id)).toBeNull();
+    expect(
+      await AuditLog.exists({ user: student._id, event: 'accountDeleted' })
+    ).not.toBe(null);
+  });
+});
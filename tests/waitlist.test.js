@@ -0,0 +1,232 @@
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const TeachingDemand = require('../models/teachingDemandModel');
+const { enrollStudent } = require('../utils/services/supervision');
+const { deleteUserCascade } = require('../utils/services/userDeletion');
+
+const teacherObj = {
+  username: 'waitlist_teacher',
+  email: 'waitlist_teacher@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+  role: 'teacher',
+  password: 'Test@1234',
+  passwordConfirm: 'Test@1234',
+  isConfirmed: true,
+  teacherProfile: { maxStudents: 1 },
+};
+
+const raceTeacherObj = {
+  ...teacherObj,
+  username: 'waitlist_race_teacher',
+  email: 'waitlist_race_teacher@learn-at-home.test',
+};
+
+const adminObj = {
+  ...teacherObj,
+  username: 'waitlist_admin',
+  email: 'waitlist_admin@learn-at-home.test',
+  role: 'admin',
+  teacherProfile: undefined,
+};
+
+const studentObjs = [
+  'waitlist_student1',
+  'waitlist_student2',
+  'waitlist_student3',
+  'waitlist_race_a',
+  'waitlist_race_b',
+].map(username => ({
+  ...adminObj,
+  username,
+  email: `${username}@learn-at-home.test`,
+  role: 'student',
+}));
+
+const provisionedObj = {
+  username: 'waitlist_new',
+  email: 'waitlist_new@learn-at-home.test',
+  firstname: 'Werner',
+  lastname: 'Schmid',
+};
+
+const emails = [
+  teacherObj.email,
+  raceTeacherObj.email,
+  adminObj.email,
+  provisionedObj.email,
+  ...studentObjs.map(({ email }) => email),
+];
+
+let teacher;
+let raceTeacher;
+let students;
+let ids;
+
+const loginAs = async ({ username, password }) => {
+  const {
+    body: { token },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/login`)
+    .send({ username, password });
+
+  return token;
+};
+
+const getSupervisor = async student =>
+  (
+    await User.findById(student._id).select('+supervisor')
+  ).supervisor?.valueOf();
+
+const sendDemand = async studentObj =>
+  await request(app)
+    .post(`${API_ROUTE}/teaching-demands/user/${teacher.id}`)
+    .set('Authorization', `Bearer ${await loginAs(studentObj)}`);
+
+beforeAll(async () => {
+  await mongoose.connect(DB_CONNECTION, {});
+  const users = await User.create([
+    teacherObj,
+    raceTeacherObj,
+    adminObj,
+    ...studentObjs,
+  ]);
+  ids = users.map(({ _id }) => _id);
+  [teacher, raceTeacher, , ...students] = users;
+  await enrollStudent(students[0].id, teacher.id);
+});
+
+afterAll(async () => {
+  await TeachingDemand.deleteMany({
+    receiver: { $in: [teacher._id, raceTeacher._id] },
+  });
+  await Session.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ email: { $in: emails } });
+  await mongoose.connection.close();
+});
+
+beforeEach(() => {
+  jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Teacher waitlist', () => {
+  it('201: Demand sent to a full teacher added to the waitlist', async () => {
+    const {
+      statusCode,
+      body: { status, message, data },
+    } = await sendDemand(studentObjs[1]);
+
+    expect(statusCode).toBe(201);
+    expect(status).toBe('success');
+    expect(data.position).toBe(1);
+    expect(message).toBe(
+      'This teacher has no free place: your demand was added to the waitlist (position 1).'
+    );
+
+    const {
+      body: { data: secondData },
+    } = await sendDemand(studentObjs[2]);
+    expect(secondData.position).toBe(2);
+
+    const {
+      body: {
+        data: { teachingDemands },
+      },
+    } = await request(app)
+      .get(`${API_ROUTE}/teaching-demands/waitlist`)
+      .set('Authorization', `Bearer ${await loginAs(teacherObj)}`);
+
+    expect(teachingDemands.map(({ sender }) => sender._id)).toEqual([
+      students[1].id,
+      students[2].id,
+    ]);
+  });
+
+  it('400: Waiting demand accepted without a free place', async () => {
+    const demand = await TeachingDemand.findOne({ sender: students[1]._id });
+
+    const {
+      statusCode,
+      body: { status, message },
+    } = await request(app)
+      .patch(`${API_ROUTE}/teaching-demands/${demand.id}/accept`)
+      .set('Authorization', `Bearer ${await loginAs(teacherObj)}`);
+
+    expect(statusCode).toBe(400);
+    expect(status).toBe('fail');
+    expect(message).toBe('You have reached your maximum number of students.');
+    expect(await getSupervisor(students[1])).toBeUndefined();
+    expect((await TeachingDemand.findById(demand._id)).accepted).toBe(false);
+  });
+
+  it('200: First waiting student promoted when the capacity is raised', async () => {
+    const promotionSpy = jest.spyOn(Email.prototype, 'sendWaitlistPromotion');
+
+    const { statusCode } = await request(app)
+      .patch(`${API_ROUTE}/users/me/teacher-profile`)
+      .set('Authorization', `Bearer ${await loginAs(teacherObj)}`)
+      .send({ maxStudents: 2 });
+
+    expect(statusCode).toBe(200);
+    expect(await getSupervisor(students[1])).toBe(teacher.id);
+    expect(await getSupervisor(students[2])).toBeUndefined();
+    expect(promotionSpy).toHaveBeenCalledTimes(1);
+
+    const demand = await TeachingDemand.findOne({ sender: students[1]._id });
+    expect(demand.accepted).toBe(true);
+    expect(demand.waitlisted).toBe(false);
+  });
+
+  it('Place of a deleted student given to the next waiting one', async () => {
+    const report = await deleteUserCascade(students[0]._id);
+
+    expect(report.promotedStudents).toBe(1);
+    expect(await getSupervisor(students[2])).toBe(teacher.id);
+  });
+
+  it('201: Provisioned student added to the waitlist of a full teacher', async () => {
+    const {
+      statusCode,
+      body: { status, message, data },
+    } = await request(app)
+      .post(`${API_ROUTE}/users`)
+      .set('Authorization', `Bearer ${await loginAs(adminObj)}`)
+      .send({ ...provisionedObj, supervisor: teacher.id });
+
+    expect(statusCode).toBe(201);
+    expect(status).toBe('success');
+    expect(data.position).toBe(1);
+    expect(message).toMatch(
+      /the student was added to the waitlist \(position 1\)\.$/
+    );
+    expect(await getSupervisor(data.user)).toBeUndefined();
+
+    const demand = await TeachingDemand.findOne({ sender: data.user._id });
+    expect(demand.waitlisted).toBe(true);
+    expect(demand.receiver.valueOf()).toBe(teacher.id);
+  });
+
+  it('Last place given to only one of two students enrolled at the same time', async () => {
+    const [raceStudentA, raceStudentB] = students.slice(3);
+
+    const demands = await Promise.all([
+      enrollStudent(raceStudentA.id, raceTeacher.id),
+      enrollStudent(raceStudentB.id, raceTeacher.id),
+    ]);
+
+    expect(demands.filter(({ accepted }) => accepted)).toHaveLength(1);
+    expect(demands.filter(({ waitlisted }) => waitlisted)).toHaveLength(1);
+
+    const { supervised } = await User.findById(raceTeacher._id).select(
+      '+supervised'
+    );
+    expect(supervised).toHaveLength(1);
+
+    const [waitlisted] = demands.filter(({ waitlisted }) => waitlisted);
+    expect(await getSupervisor({ _id: waitlisted.sender })).toBeUndefined();
+  });
+});
@@ -33,12 +33,13 @@ module.exports = class Email {
   }
 
   // Send the actual email
-  async send(template, subject) {
+  async send(template, subject, data = {}) {
     const { to, from, name, url } = this;
     // Render the HTML based on a pub template
     const html = await ejs.renderFile(
       `${__dirname}/../../views/emails/base.ejs`,
       {
+        ...data,
         template: `_${template}`,
         name,
         url,
@@ -63,6 +64,18 @@ module.exports = class Email {
     await this.send('inscription', 'Welcome to Learn@Home!');
   }
 
+  async sendAccountCreated() {
+    await this.send('accountCreated', 'Your Learn@Home account was created');
+  }
+
+  async sendWaitlistPromotion(details) {
+    await this.send(
+      'waitlistPromotion',
+      'Your teaching demand was accepted',
+      details
+    );
+  }
+
   async sendPasswordReset() {
     await this.send(
       'passwordReset',
@@ -81,4 +94,34 @@ module.exports = class Email {
   async sendPermanentDelete() {
     await this.send('permanentDelete', 'Your account was permanently deleted');
   }
+
+  async sendEmailChange() {
+    await this.send('emailChange', 'Confirm your new e-mail address');
+  }
+
+  async sendEmailChangeNotice(newEmail) {
+    await this.send('emailChangeNotice', 'Your e-mail address is changing', {
+      newEmail,
+    });
+  }
+
+  async sendAccountLocked(details) {
+    await this.send(
+      'accountLocked',
+      'Your account was temporarily locked',
+      details
+    );
+  }
+
+  async sendDataExport(details) {
+    await this.send('dataExport', 'Your data export is ready', details);
+  }
+
+  async sendNewDeviceLogin(details) {
+    await this.send('newDeviceLogin', 'New login to your account', details);
+  }
+
+  async sendMagicLink() {
+    await this.send('magicLink', 'Your login link (valid for 15 minutes)');
+  }
 };
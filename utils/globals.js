@@ -20,6 +20,107 @@ PASSWORD_VALIDATOR.is()
 
 exports.PASSWORD_VALIDATOR = PASSWORD_VALIDATOR;
 
+// Number of the last passwords (including the current one) that can't be reused
+exports.PASSWORD_HISTORY_LENGTH = 5;
+
+exports.ROLES = ['admin', 'teacher', 'student', 'guardian'];
+
+// Fields of an user that can be updated directly, the other ones have their own routes or are managed by the server
+exports.UPDATABLE_USER_FIELDS = ['username', 'firstname', 'lastname'];
+
+exports.PERMISSIONS = [
+  'users.contacts',
+  'users.supervised',
+  'users.manage',
+  'users.impersonate',
+  'roles.manage',
+  'messages.read',
+  'messages.send',
+  'teaching-demands.read',
+  'teaching-demands.send',
+  'teaching-demands.accept',
+  'teaching-demands.cancel',
+  'events.read',
+  'events.create',
+  'events.update',
+  'events.respond',
+  'tasks.read',
+  'tasks.create',
+  'tasks.complete',
+  'tasks.students',
+  'tasks.assign',
+  'tasks.validate',
+  'guardianships.read',
+  'guardianships.request',
+  'guardianships.approve',
+  'guardianships.cancel',
+  'guardianships.students',
+  'guardianships.manage',
+  'audit.read',
+  'enrollment-codes.create',
+  'enrollment-codes.redeem',
+  'users.teacher-profile',
+  'users.bypass-privacy',
+];
+
+// Permissions of the roles as long as no admin has modified them
+exports.DEFAULT_ROLE_PERMISSIONS = {
+  admin: [
+    'users.manage',
+    'users.impersonate',
+    'roles.manage',
+    'guardianships.read',
+    'guardianships.approve',
+    'guardianships.cancel',
+    'guardianships.manage',
+    'audit.read',
+    'users.bypass-privacy',
+  ],
+  teacher: [
+    'users.contacts',
+    'users.supervised',
+    'messages.read',
+    'messages.send',
+    'teaching-demands.read',
+    'teaching-demands.accept',
+    'teaching-demands.cancel',
+    'events.read',
+    'events.create',
+    'events.update',
+    'events.respond',
+    'tasks.students',
+    'tasks.assign',
+    'tasks.validate',
+    'enrollment-codes.create',
+    'users.teacher-profile',
+  ],
+  student: [
+    'users.contacts',
+    'messages.read',
+    'messages.send',
+    'teaching-demands.read',
+    'teaching-demands.send',
+    'teaching-demands.cancel',
+    'events.read',
+    'events.create',
+    'events.update',
+    'events.respond',
+    'tasks.read',
+    'tasks.create',
+    'tasks.complete',
+    'guardianships.read',
+    'guardianships.approve',
+    'guardianships.cancel',
+    'enrollment-codes.redeem',
+  ],
+  guardian: [
+    'guardianships.read',
+    'guardianships.request',
+    'guardianships.cancel',
+    'guardianships.students',
+  ],
+};
+
 exports.PARAMETER_WHITELIST = ['sent', 'beginning', 'end'];
 
 exports.FRONT_END_URL = 'https://learn-at-home-frontend.vercel.app';
@@ -34,6 +135,9 @@ exports.USERS_FOLDER = exports.IMG_FOLDER + '/users';
 
 exports.CONVERSATIONS_FOLDER = exports.IMG_FOLDER + '/conversations';
 
+// Kept outside of the public folder, the archives are only served with their download link
+exports.EXPORTS_FOLDER = 'exports';
+
 exports.LAST_AGGR_OBJ = [
   {
     $sort: {
@@ -129,7 +233,153 @@ exports.MONTHS = [
   'Dec',
 ];
 
-exports.TIMEOUTS = {};
+exports.ACCESS_TOKEN_EXPIRES_IN = 15 * 60 * 1000;
+
+exports.REFRESH_TOKEN_EXPIRES_IN = 30 * 24 * 60 * 60 * 1000;
+
+exports.TWO_FACTOR_TOKEN_EXPIRES_IN = 5 * 60 * 1000;
+
+exports.IMPERSONATION_TOKEN_EXPIRES_IN = 30 * 60 * 1000;
+
+// Requests other than the reads that can be sent with an impersonation token (relative to the API route)
+exports.IMPERSONATION_ALLOWED_WRITES = ['POST /users/check-password'];
+
+exports.MAGIC_LINK_EXPIRES_IN = 15 * 60 * 1000;
+
+exports.MAGIC_LINK_LOG_RETENTION = 90 * 24 * 60 * 60 * 1000;
+
+exports.TWO_FACTOR_ISSUER = 'Learn@Home';
+
+exports.RECOVERY_CODES_NUMBER = 10;
+
+exports.LOGIN_DELAY_THRESHOLD = 3;
+
+exports.LOGIN_LOCK_THRESHOLD = 10;
+
+exports.LOGIN_LOCK_DURATION = 30 * 60 * 1000;
+
+// Many users can share an IP address (school network), the failures are mainly counted per account.
+// Can be overridden with the IP_LOGIN_FAILURES_LIMIT environment variable
+exports.IP_LOGIN_FAILURES_LIMIT = 1000;
+
+exports.ACCOUNT_LOGIN_FAILURES_LIMIT = 20;
+
+exports.IP_LOGIN_FAILURES_WINDOW = 60 * 60 * 1000;
+
+exports.API_TOKEN_PREFIX = 'lah_';
+
+exports.API_TOKEN_SCOPES = [
+  'users:read',
+  'users:write',
+  'messages:read',
+  'messages:write',
+  'teaching-demands:read',
+  'teaching-demands:write',
+  'events:read',
+  'events:write',
+  'tasks:read',
+  'tasks:write',
+  'guardianships:read',
+  'guardianships:write',
+  'enrollment-codes:read',
+  'enrollment-codes:write',
+  'roles:read',
+  'roles:write',
+  'audit-logs:read',
+];
+
+exports.AUDIT_EVENTS = [
+  'login',
+  'loginFailed',
+  'accountLocked',
+  'passwordChanged',
+  'passwordReset',
+  'roleChanged',
+  'accountDeleted',
+  'accountReactivated',
+  'loginReported',
+  'accountCreated',
+  'dataExportRequested',
+  'dataExportDownloaded',
+  'refreshTokenReused',
+];
+
+exports.TEACHING_LEVELS = [
+  'primary',
+  'secondary',
+  'high-school',
+  'university',
+  'adult',
+];
+
+exports.TEACHER_BIO_MAX_LENGTH = 1000;
+
+// Who can reach an user: anyone, his contacts, his supervisor and supervised students, or nobody
+exports.PRIVACY_LEVELS = ['everyone', 'contacts', 'supervision', 'nobody'];
+
+exports.PRIVACY_SETTINGS = [
+  'messages',
+  'invitations',
+  'profile',
+  'onlineStatus',
+];
+
+// Fields on which the teachers can be sorted, with the corresponding path
+exports.TEACHER_SORT_FIELDS = {
+  username: 'username',
+  firstname: 'firstname',
+  lastname: 'lastname',
+  maxStudents: 'teacherProfile.maxStudents',
+  students: 'students',
+  freePlaces: 'freePlaces',
+};
+
+exports.SEARCH_DEFAULT_LIMIT = 10;
+
+exports.SEARCH_MAX_LIMIT = 50;
+
+// Share of the trigrams of the searched text a name must contain to be a fuzzy match
+exports.SEARCH_SIMILARITY_THRESHOLD = 0.4;
+
+exports.PROVISIONING_LINK_EXPIRES_IN = 7 * 24 * 60 * 60 * 1000;
+
+// The admin accounts can't be created by provisioning
+exports.PROVISIONABLE_ROLES = ['teacher', 'student', 'guardian'];
+
+exports.IMPORT_ROWS_LIMIT = 500;
+
+exports.IMPORT_FILE_MAX_SIZE = 1024 * 1024;
+
+// Number of rows of an import created at the same time (hashing of the password and e-mail)
+exports.IMPORT_CONCURRENCY = 10;
+
+exports.ENROLLMENT_CODE_LENGTH = 8;
+
+exports.ENROLLMENT_CODE_EXPIRES_IN = 7 * 24 * 60 * 60 * 1000;
+
+exports.KNOWN_DEVICES_LIMIT = 20;
+
+exports.LOGIN_ALERT_EXPIRES_IN = 7 * 24 * 60 * 60 * 1000;
+
+exports.DATA_EXPORT_EXPIRES_IN = 7 * 24 * 60 * 60 * 1000;
+
+exports.DATA_EXPORT_MAX_ATTEMPTS = 5;
+
+exports.CONFIRMATION_RESEND_LIMIT = 3;
+
+exports.CONFIRMATION_RESEND_WINDOW = 60 * 60 * 1000;
+
+exports.PASSWORD_CHECK_LIMIT = 20;
+
+exports.PASSWORD_CHECK_WINDOW = 15 * 60 * 1000;
+
+exports.ACCOUNT_DELETION_DELAY = 90 * 24 * 60 * 60 * 1000;
+
+exports.JOB_WORKER_INTERVAL = 60 * 1000;
+
+exports.JOB_LOCK_TIMEOUT = 10 * 60 * 1000;
+
+exports.JOB_RETRY_DELAY = 5 * 60 * 1000;
 
 exports.SOCKET_CONNECTIONS = [];
 
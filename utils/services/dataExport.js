@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const ejs = require('ejs');
+const archiver = require('archiver');
+const { default: mkdirp } = require('mkdirp');
+const User = require('../../models/userModel');
+const Message = require('../../models/messageModel');
+const Event = require('../../models/eventModel');
+const Task = require('../../models/taskModel');
+const TeachingDemand = require('../../models/teachingDemandModel');
+const DataExport = require('../../models/dataExportModel');
+const { getConversationFolder, isStorageUrl } = require('./storage');
+const { CONVERSATIONS_FOLDER, EXPORTS_FOLDER } = require('../globals');
+
+const USER_FIELDS = 'username firstname lastname photo';
+
+const collectUserData = async userId => {
+  const id = userId.valueOf();
+
+  // The supervision fields are hidden by default
+  const profile = await User.findById(id)
+    .select('-__v +supervisor +supervised')
+    .populate({ path: 'supervisor', select: USER_FIELDS })
+    .populate({ path: 'supervised', select: USER_FIELDS });
+
+  const { contacts } = await User.findById(id)
+    .select('contacts')
+    .populate({ path: 'contacts', select: USER_FIELDS });
+
+  const messages = await Message.find({
+    $or: [{ sender: id }, { receiver: id }],
+  })
+    .select('-__v')
+    .sort({ sent: 1 })
+    .populate({ path: 'sender', select: 'username' })
+    .populate({ path: 'receiver', select: 'username' });
+
+  const events = await Event.find({
+    $or: [{ organizer: id }, { guests: id }, { attendees: id }],
+  })
+    .select('-__v')
+    .populate({ path: 'organizer', select: 'username' })
+    .populate({ path: 'guests', select: 'username' })
+    .populate({ path: 'attendees', select: 'username' });
+
+  const tasks = await Task.find({
+    $or: [{ performer: id }, { validator: id }],
+  })
+    .select('-__v')
+    .populate({ path: 'performer', select: 'username' })
+    .populate({ path: 'validator', select: 'username' });
+
+  const teachingDemands = await TeachingDemand.find({
+    $or: [{ sender: id }, { receiver: id }],
+  })
+    .select('-__v')
+    .populate({ path: 'sender', select: 'username' })
+    .populate({ path: 'receiver', select: 'username' });
+
+  return {
+    profile: profile.toObject(),
+    contacts: (contacts || []).map(contact => contact.toObject()),
+    messages: messages.map(message => message.toObject()),
+    events: events.map(event => event.toObject()),
+    tasks: tasks.map(task => task.toObject()),
+    teachingDemands: teachingDemands.map(demand => demand.toObject()),
+  };
+};
+
+// The local copy of the file is used when it exists, the stored one otherwise
+const readAttachment = async (folder, name, url) => {
+  try {
+    return await promisify(fs.readFile)(
+      `${CONVERSATIONS_FOLDER}/${folder}/${name}`
+    );
+  } catch (err) {
+    if (!isStorageUrl(url)) return undefined;
+
+    const response = await fetch(url);
+    if (!response.ok) return undefined;
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+};
+
+const addAttachments = async (archive, messages) => {
+  for (const message of messages) {
+    message.attachments = [];
+    if (!message.files?.length || !message.sender || !message.receiver)
+      continue;
+
+    const folder = getConversationFolder(
+      message.sender._id.valueOf(),
+      message.receiver._id.valueOf()
+    );
+
+    for (const file of message.files) {
+      // A file that can't be read is left out instead of failing the export
+      try {
+        const url = new URL(file);
+        const name = decodeURIComponent(path.basename(url.pathname));
+        const content = await readAttachment(folder, name, url);
+
+        if (content) {
+          const archivePath = `attachments/${folder}/${name}`;
+          archive.append(content, { name: archivePath });
+          message.attachments.push(archivePath);
+        }
+      } catch (err) {
+        continue;
+      }
+    }
+  }
+};
+
+// Write the zip archive with the data of the user as JSON and readable HTML, and return its location
+exports.buildUserExport = async (userId, exportId) => {
+  const data = await collectUserData(userId);
+
+  await mkdirp(EXPORTS_FOLDER);
+  const file = `${EXPORTS_FOLDER}/${exportId}.zip`;
+
+  const output = fs.createWriteStream(file);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Handled when the archive is finalized, but mustn't be unhandled before
+  written.catch(() => {});
+  archive.pipe(output);
+
+  try {
+    await addAttachments(archive, data.messages);
+
+    const exportedAt = new Date().toISOString();
+    archive.append(JSON.stringify({ exportedAt, ...data }, null, 2), {
+      name: 'data.json',
+    });
+    archive.append(
+      await ejs.renderFile(`${__dirname}/../../views/export/account.ejs`, {
+        exportedAt,
+        ...data,
+      }),
+      { name: 'index.html' }
+    );
+
+    await Promise.all([archive.finalize(), written]);
+  } catch (err) {
+    // No partial archive is left behind
+    archive.abort();
+    output.destroy();
+    await promisify(fs.unlink)(file).catch(() => {});
+    throw err;
+  }
+
+  return file;
+};
+
+// Remove the archives matching the filter with their files and return how many were removed
+exports.deleteExports = async filter => {
+  const dataExports = await DataExport.find(filter).select('+file');
+
+  await Promise.all(
+    dataExports
+      .filter(dataExport => dataExport.file)
+      .map(dataExport =>
+        promisify(fs.unlink)(dataExport.file).catch(err => {
+          if (err.code !== 'ENOENT') throw err;
+        })
+      )
+  );
+
+  const { deletedCount } = await DataExport.deleteMany({
+    _id: { $in: dataExports.map(dataExport => dataExport._id) },
+  });
+
+  return deletedCount;
+};
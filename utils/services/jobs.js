@@ -0,0 +1,192 @@
+const Job = require('../../models/jobModel');
+const User = require('../../models/userModel');
+const AuditLog = require('../../models/auditLogModel');
+const Email = require('../classes/Email');
+const DataExport = require('../../models/dataExportModel');
+const { deleteUserCascade } = require('./userDeletion');
+const { buildUserExport, deleteExports } = require('./dataExport');
+const { createLinkToken, getDateAndTime } = require('../utils');
+const {
+  JOB_WORKER_INTERVAL,
+  JOB_LOCK_TIMEOUT,
+  JOB_RETRY_DELAY,
+  DATA_EXPORT_EXPIRES_IN,
+  DATA_EXPORT_MAX_ATTEMPTS,
+  FRONT_END_URL,
+} = require('../globals');
+
+const handlers = {
+  purgeUnconfirmedUser: async job => {
+    const user = await User.findById(job.user, null, {
+      disableMiddlewares: true,
+    }).select('+isConfirmed');
+
+    // The account was confirmed or already removed in the meantime
+    if (!user || user.isConfirmed) return;
+
+    const id = user._id.valueOf();
+    const report = await deleteUserCascade(id);
+    console.log(`Delete user ${id} : Confirmation time expired.`, report);
+    await AuditLog.record('accountDeleted', {
+      user: id,
+      actor: null,
+      details: { permanent: true, reason: 'confirmationExpired', report },
+    });
+    await new Email(user, '').sendConfirmationDelete();
+  },
+  permanentDeleteUser: async job => {
+    const user = await User.findById(job.user, null, {
+      disableMiddlewares: true,
+    }).select('+isDeleted');
+
+    // The account was reactivated or already removed in the meantime
+    if (!user || !user.isDeleted) return;
+
+    const id = user._id.valueOf();
+    const report = await deleteUserCascade(id);
+    console.log(
+      `Delete user ${id} : Definitive deletion time expired.`,
+      report
+    );
+    await AuditLog.record('accountDeleted', {
+      user: id,
+      actor: null,
+      details: { permanent: true, reason: 'deletionDelayExpired', report },
+    });
+    await new Email(user, '').sendPermanentDelete();
+  },
+  exportUserData: async job => {
+    const dataExport = await DataExport.findOne({
+      user: job.user,
+      status: 'pending',
+    });
+    const user = await User.findById(job.user);
+
+    if (!dataExport) return;
+
+    // The account was removed in the meantime
+    if (!user) {
+      await DataExport.findByIdAndDelete(dataExport._id);
+      return;
+    }
+
+    const file = await buildUserExport(user._id, dataExport.id);
+    const [exportToken, hashedExportToken] = createLinkToken();
+    const expiresAt = Date.now() + DATA_EXPORT_EXPIRES_IN;
+
+    await DataExport.findByIdAndUpdate(dataExport._id, {
+      status: 'ready',
+      token: hashedExportToken,
+      file,
+      expiresAt,
+    });
+
+    // The archives are removed when their link expires, each one by its own job
+    await exports.scheduleJob(
+      'deleteDataExport',
+      user._id,
+      expiresAt,
+      dataExport.id
+    );
+
+    const [date, time] = getDateAndTime(new Date(expiresAt).toISOString());
+    await new Email(
+      user,
+      `${FRONT_END_URL}/export/${exportToken}`
+    ).sendDataExport({ expiresAt: `${date} ${time}` });
+  },
+  deleteDataExport: async job => {
+    await deleteExports({
+      ...(job.key ? { _id: job.key } : { user: job.user }),
+      status: 'ready',
+      expiresAt: { $lte: Date.now() },
+    });
+  },
+};
+
+// The jobs that are given up after a number of attempts, with what to do then
+const failures = {
+  exportUserData: {
+    maxAttempts: DATA_EXPORT_MAX_ATTEMPTS,
+    // The user can request a new export
+    handler: async job => {
+      await DataExport.updateMany(
+        { user: job.user, status: 'pending' },
+        { status: 'failed' }
+      );
+    },
+  },
+};
+
+exports.scheduleJob = async (type, user, runAt, key) =>
+  await Job.findOneAndUpdate(
+    { type, user, ...(key && { key }) },
+    { runAt, attempts: 0, $unset: { lockedAt: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+exports.cancelJobs = async (user, ...types) => {
+  await Job.deleteMany({ user, type: { $in: types } });
+};
+
+// Reserve the next due job, so that it isn't run twice by multiple server instances
+const claimNextJob = async () =>
+  await Job.findOneAndUpdate(
+    {
+      runAt: { $lte: Date.now() },
+      $or: [
+        { lockedAt: { $exists: false } },
+        { lockedAt: null },
+        { lockedAt: { $lt: Date.now() - JOB_LOCK_TIMEOUT } },
+      ],
+    },
+    { lockedAt: Date.now(), $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+
+exports.runDueJobs = async () => {
+  let job = await claimNextJob();
+
+  while (job) {
+    try {
+      await handlers[job.type](job);
+      await Job.findByIdAndDelete(job._id);
+    } catch (err) {
+      console.error(`Job ${job._id} (${job.type}) failed:`, err.message);
+      const failure = failures[job.type];
+
+      if (failure && job.attempts >= failure.maxAttempts) {
+        await failure.handler(job);
+        await Job.findByIdAndDelete(job._id);
+      } else {
+        await Job.findByIdAndUpdate(job._id, {
+          $unset: { lockedAt: 1 },
+          runAt: Date.now() + JOB_RETRY_DELAY,
+          lastError: err.message,
+        });
+      }
+    }
+
+    job = await claimNextJob();
+  }
+};
+
+// Run the overdue jobs at startup (catch up), then check them periodically
+exports.startJobWorker = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await exports.runDueJobs();
+    } catch (err) {
+      console.error('Job worker error:', err.message);
+    }
+    running = false;
+  };
+
+  run();
+
+  return setInterval(run, JOB_WORKER_INTERVAL);
+};
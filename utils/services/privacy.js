@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const User = require('../../models/userModel');
+const Role = require('../../models/roleModel');
+
+const canBypassPrivacy = async viewer =>
+  (await Role.getPolicy(viewer.role)).hasPermission('users.bypass-privacy');
+
+// Ids of the users allowed by the privacy setting, or null if everyone is allowed
+exports.getPrivacyAudience = async (ownerId, setting) => {
+  const owner = await User.findById(ownerId, null, {
+    disableMiddlewares: true,
+  }).select('privacy contacts supervisor supervised');
+
+  const level = owner?.privacy?.[setting] || 'everyone';
+
+  if (level === 'everyone') return null;
+
+  if (level === 'contacts')
+    return (owner.contacts || []).map(contact => contact.valueOf());
+
+  if (level === 'supervision')
+    return [owner.supervisor, ...(owner.supervised || [])]
+      .filter(user => user)
+      .map(user => user.valueOf());
+
+  return [];
+};
+
+exports.isAllowedBy = async (ownerId, viewer, setting) => {
+  if (
+    viewer &&
+    (viewer.id === ownerId.valueOf() || (await canBypassPrivacy(viewer)))
+  )
+    return true;
+
+  const audience = await exports.getPrivacyAudience(ownerId, setting);
+
+  return !audience || (!!viewer && audience.includes(viewer.id));
+};
+
+// Query filter keeping only the users whose profile is visible to the viewer
+exports.getVisibleProfileFilter = async viewer => {
+  if (await canBypassPrivacy(viewer)) return {};
+
+  const viewerId = new mongoose.Types.ObjectId(viewer.id);
+
+  return {
+    $or: [
+      { 'privacy.profile': { $in: [null, 'everyone'] } },
+      { 'privacy.profile': 'contacts', contacts: viewerId },
+      {
+        'privacy.profile': 'supervision',
+        $or: [{ supervisor: viewerId }, { supervised: viewerId }],
+      },
+    ],
+  };
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { isValidObjectId } = require('mongoose');
+const User = require('../../models/userModel');
+const AuditLog = require('../../models/auditLogModel');
+const Email = require('../classes/Email');
+const { FRONT_END_URL, PROVISIONING_LINK_EXPIRES_IN } = require('../globals');
+const { enrollStudent, getWaitlistPosition } = require('./supervision');
+
+// Nobody knows this password, the user chooses his own one with the link sent by e-mail
+const createPlaceholderPassword = () =>
+  `${crypto.randomBytes(24).toString('base64url')}aA1!`;
+
+exports.findSupervisor = async identifier => {
+  const conditions = [{ username: identifier }, { email: identifier }];
+  if (isValidObjectId(identifier)) conditions.push({ _id: identifier });
+
+  return await User.findOne({ $or: conditions, role: 'teacher' });
+};
+
+// Create a confirmed account for an user, who receives a link to set his password.
+// A student given to a full teacher is added to his waitlist, and his position is returned
+exports.provisionUser = async (data, { supervisor, req }) => {
+  const { username, email, firstname, lastname, role } = data;
+  const password = createPlaceholderPassword();
+
+  const user = new User({
+    username,
+    email,
+    firstname,
+    lastname,
+    role: role || 'student',
+    password,
+    passwordConfirm: password,
+    isConfirmed: true,
+  });
+
+  const resetToken = user.createPasswordResetToken();
+  user.passwordResetExpires = Date.now() + PROVISIONING_LINK_EXPIRES_IN;
+
+  await user.save();
+
+  let position;
+  if (supervisor && user.role === 'student') {
+    const studentId = user._id.valueOf();
+    const teacherId = supervisor._id.valueOf();
+
+    const demand = await enrollStudent(studentId, teacherId);
+    if (demand.waitlisted) position = await getWaitlistPosition(demand);
+  }
+
+  await AuditLog.record('accountCreated', {
+    user: user._id,
+    actor: req.user._id,
+    req,
+    details: {
+      role: user.role,
+      supervisor: supervisor?._id,
+      waitlisted: position !== undefined,
+    },
+  });
+
+  let emailSent = true;
+  try {
+    const url = `${FRONT_END_URL}/reset-password/${resetToken}`;
+
+    await new Email(user, url).sendAccountCreated();
+  } catch (err) {
+    console.error(err);
+    emailSent = false;
+  }
+
+  return [user, emailSent, position];
+};
@@ -0,0 +1,75 @@
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/userModel');
+const Session = require('../../models/sessionModel');
+const RevokedToken = require('../../models/revokedTokenModel');
+const { getUserRoom } = require('./socketRelay');
+
+const getSocketToken = socket => {
+  const {
+    handshake: { auth },
+    request: { cookies },
+  } = socket;
+
+  if (auth && auth.token) return auth.token;
+
+  return (cookies && cookies.jwt) || '';
+};
+
+// Same checks as the protect middleware, returns the error message if the token can't be used
+const verifySocketToken = async token => {
+  if (!token) return ['You are not logged in! Please log in to get access.'];
+
+  let decoded;
+  try {
+    decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return ['Invalid token. Please log in again!'];
+  }
+
+  if (decoded.jti && (await RevokedToken.isRevoked(decoded.jti)))
+    return ['This token was revoked. Please log in again.'];
+
+  // The impersonated users mustn't be shown as connected to the others
+  if (decoded.impersonator || !decoded.session)
+    return ['Your session has expired or was revoked. Please log in again.'];
+
+  const user = await User.findById(decoded.id).select(
+    '+passwordChangedAt +isConfirmed'
+  );
+
+  if (!user || !user.isConfirmed)
+    return ["The requested account doesn't exist or was deleted."];
+
+  if (user.changedPasswordAfter(decoded.iat))
+    return ['User recently changed password ! Please log in again.'];
+
+  if (!(await Session.exists({ _id: decoded.session, user: user._id })))
+    return ['Your session has expired or was revoked. Please log in again.'];
+
+  return [null, user, decoded];
+};
+
+// Refuse the handshakes without a valid token and group the sockets by token, so that they can be disconnected on logout,
+// and by user, so that the blocked users can be left out of the relays
+exports.authenticateSocket = async (socket, next) => {
+  try {
+    const [message, user, decoded] = await verifySocketToken(
+      getSocketToken(socket)
+    );
+
+    if (message) {
+      next(new Error(message));
+      return;
+    }
+
+    socket.data.user = user;
+    socket.data.userId = user._id.valueOf();
+    if (decoded.jti) socket.join(`token:${decoded.jti}`);
+    socket.join(getUserRoom(socket.data.userId));
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
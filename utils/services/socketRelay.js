@@ -0,0 +1,47 @@
+const User = require('../../models/userModel');
+const { CHAT_ROOM } = require('../globals');
+const { getPrivacyAudience } = require('./privacy');
+
+exports.getUserRoom = userId => `user:${userId}`;
+
+// Broadcast to the chat room, except to the users having a block relation with the sender
+exports.relay = async (socket, event, data) => {
+  try {
+    const blockedIds = await User.getBlockRelations(socket.data.userId);
+
+    socket
+      .to(CHAT_ROOM)
+      .except(blockedIds.map(exports.getUserRoom))
+      .emit(event, data);
+  } catch (err) {
+    console.error(`Socket relay of ${event} failed:`, err.message);
+  }
+};
+
+// The connection changes are only sent to the users allowed to see the online status
+exports.relayConnection = async (socket, connected) => {
+  const {
+    data: { userId },
+  } = socket;
+
+  try {
+    const audience = await getPrivacyAudience(userId, 'onlineStatus');
+
+    if (!audience) {
+      await exports.relay(socket, 'notify_connection', { userId, connected });
+      return;
+    }
+
+    const blockedIds = await User.getBlockRelations(userId);
+    const rooms = audience
+      .filter(id => !blockedIds.includes(id))
+      .map(exports.getUserRoom);
+
+    // An empty list of rooms would broadcast to every socket
+    if (rooms.length === 0) return;
+
+    socket.to(rooms).emit('notify_connection', { userId, connected });
+  } catch (err) {
+    console.error('Socket relay of notify_connection failed:', err.message);
+  }
+};
@@ -0,0 +1,77 @@
+const { unlink } = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { CONVERSATIONS_FOLDER } = require('../globals');
+
+// Same naming as the folders in which the message files are saved
+exports.getConversationFolder = (sender, receiver) =>
+  [sender, receiver].sort((a, b) => (a < b ? 1 : -1)).join('_');
+
+// Only the files of our storage account are downloaded or deleted
+exports.isStorageUrl = url =>
+  url.protocol === 'https:' &&
+  url.hostname === `${process.env.AZURE_ACCOUNT_NAME}.blob.core.windows.net`;
+
+const parseUrl = file => {
+  try {
+    return new URL(file);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// Returns true if the local file existed
+exports.deleteLocalFile = async file => {
+  try {
+    await promisify(unlink)(file);
+    return true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return false;
+  }
+};
+
+// Delete a file uploaded with azure-blobv2 from its url, returns true if it existed
+exports.deleteStoredFile = async file => {
+  const url = parseUrl(file);
+
+  if (!url || !exports.isStorageUrl(url)) return false;
+
+  const [containerName, ...blobPath] = url.pathname.split('/').slice(1);
+
+  const { succeeded } = await BlobServiceClient.fromConnectionString(
+    process.env.AZURE_CONNECTION_STRING
+  )
+    .getContainerClient(containerName)
+    .getBlobClient(decodeURIComponent(blobPath.join('/')))
+    .deleteIfExists();
+
+  return succeeded;
+};
+
+// The attachments are saved locally in the folder of the conversation and in the storage account
+exports.deleteAttachments = async message => {
+  const folder = exports.getConversationFolder(
+    message.sender.valueOf(),
+    message.receiver.valueOf()
+  );
+
+  let deleted = 0;
+
+  for (const file of message.files || []) {
+    const url = parseUrl(file);
+    if (!url) continue;
+
+    const name = decodeURIComponent(path.basename(url.pathname));
+
+    const [local, stored] = await Promise.all([
+      exports.deleteLocalFile(`${CONVERSATIONS_FOLDER}/${folder}/${name}`),
+      exports.deleteStoredFile(file),
+    ]);
+
+    if (local || stored) deleted++;
+  }
+
+  return deleted;
+};
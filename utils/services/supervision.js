@@ -0,0 +1,140 @@
+const TeachingDemand = require('../../models/teachingDemandModel');
+const User = require('../../models/userModel');
+const Email = require('../classes/Email');
+const { FRONT_END_URL } = require('../globals');
+
+// The place is taken by the same update as the check of the maximum number of students, so that two students can't both take the last one
+const takeSeat = async (studentId, teacherId) =>
+  !!(await User.findOneAndUpdate(
+    {
+      _id: teacherId,
+      $or: [
+        { supervised: studentId },
+        { 'teacherProfile.maxStudents': { $in: [null, 0] } },
+        {
+          $expr: {
+            $lt: [
+              { $size: { $ifNull: ['$supervised', []] } },
+              '$teacherProfile.maxStudents',
+            ],
+          },
+        },
+      ],
+    },
+    { $addToSet: { supervised: studentId } }
+  ));
+
+// The accepted demand is the only one kept for the student
+const setSupervisor = async (demand, studentId, teacherId) => {
+  await TeachingDemand.updateMany(
+    {
+      $and: [{ sender: studentId }, { _id: { $ne: demand._id } }],
+    },
+    { cancelled: true }
+  );
+
+  await User.findByIdAndUpdate(studentId, {
+    supervisor: teacherId,
+  });
+};
+
+// Make a teacher the supervisor of a student, unless the teacher has no free place anymore
+exports.attachStudent = async (demand, studentId, teacherId) => {
+  if (!(await takeSeat(studentId, teacherId))) return false;
+
+  await setSupervisor(demand, studentId, teacherId);
+
+  return true;
+};
+
+// An enrollment code is redeemed like a demand accepted right away by the teacher, or waitlisted if the last place was just taken
+exports.enrollStudent = async (studentId, teacherId) => {
+  const seated = await takeSeat(studentId, teacherId);
+
+  const demand = await TeachingDemand.findOneAndUpdate(
+    { sender: studentId, receiver: teacherId, cancelled: false },
+    {
+      ...(seated
+        ? { accepted: true, waitlisted: false }
+        : { accepted: false, waitlisted: true, waitlistedAt: Date.now() }),
+      $setOnInsert: { sent: Date.now() },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (seated) await setSupervisor(demand, studentId, teacherId);
+
+  return demand;
+};
+
+// The teachers who didn't set a maximum number of students are never full
+exports.hasFreeSeat = async teacherId => {
+  const teacher = await User.findById(teacherId).select(
+    '+supervised teacherProfile'
+  );
+
+  if (!teacher) return false;
+
+  const maxStudents = teacher.teacherProfile?.maxStudents;
+
+  return !maxStudents || (teacher.supervised?.length || 0) < maxStudents;
+};
+
+exports.getWaitlistPosition = async demand =>
+  await TeachingDemand.countDocuments({
+    receiver: demand.receiver,
+    waitlisted: true,
+    accepted: false,
+    cancelled: false,
+    waitlistedAt: { $lte: demand.waitlistedAt },
+  });
+
+// Give the free seats of a teacher to the students waiting for the longest time
+exports.promoteWaitlist = async teacherId => {
+  const promoted = [];
+
+  while (await exports.hasFreeSeat(teacherId)) {
+    const demand = await TeachingDemand.findOneAndUpdate(
+      {
+        receiver: teacherId,
+        waitlisted: true,
+        accepted: false,
+        cancelled: false,
+      },
+      { waitlisted: false, accepted: true },
+      { new: true, sort: { waitlistedAt: 1 } }
+    );
+
+    if (!demand) break;
+
+    const studentId = demand.sender.valueOf();
+
+    // The place was taken in the meantime, the student keeps its rank on the waitlist
+    if (
+      !(await exports.attachStudent(demand, studentId, teacherId.valueOf()))
+    ) {
+      await TeachingDemand.findByIdAndUpdate(demand._id, {
+        waitlisted: true,
+        accepted: false,
+      });
+      break;
+    }
+
+    promoted.push(studentId);
+
+    const student = await User.findById(studentId);
+    const teacher = await User.findById(teacherId);
+
+    if (!student || !teacher) continue;
+
+    try {
+      await new Email(student, FRONT_END_URL).sendWaitlistPromotion({
+        teacher: `${teacher.firstname} ${teacher.lastname}`,
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  return promoted;
+};
@@ -0,0 +1,161 @@
+const path = require('path');
+const User = require('../../models/userModel');
+const Message = require('../../models/messageModel');
+const Event = require('../../models/eventModel');
+const Task = require('../../models/taskModel');
+const TeachingDemand = require('../../models/teachingDemandModel');
+const Session = require('../../models/sessionModel');
+const Job = require('../../models/jobModel');
+const ApiToken = require('../../models/apiTokenModel');
+const MagicLink = require('../../models/magicLinkModel');
+const Guardianship = require('../../models/guardianshipModel');
+const EnrollmentCode = require('../../models/enrollmentCodeModel');
+const { promoteWaitlist } = require('./supervision');
+const { deleteExports } = require('./dataExport');
+const {
+  deleteLocalFile,
+  deleteStoredFile,
+  deleteAttachments,
+} = require('./storage');
+const { USERS_FOLDER } = require('../globals');
+
+// The resized photo is kept in the users folder and uploaded to the storage account
+const deletePhoto = async photo => {
+  const filename = photo && path.basename(photo);
+
+  if (!filename || filename.startsWith('default')) return 0;
+
+  const [local, stored] = await Promise.all([
+    deleteLocalFile(`${USERS_FOLDER}/${filename}`),
+    deleteStoredFile(photo),
+  ]);
+
+  return local || stored ? 1 : 0;
+};
+
+// Permanently delete an user with every reference to him and report what was removed
+// The audit and impersonation logs are kept, as the trail must outlive the accounts
+exports.deleteUserCascade = async userId => {
+  const id = userId.valueOf();
+
+  // The files are removed first, so that a failure leaves the account to be deleted again
+  const user = await User.findById(id, null, {
+    disableMiddlewares: true,
+  }).select('photo');
+
+  const photo = user ? await deletePhoto(user.photo) : 0;
+
+  let attachments = 0;
+  for (const message of await Message.find({
+    $or: [{ sender: id }, { receiver: id }],
+    'files.0': { $exists: true },
+  }).select('sender receiver files')) {
+    attachments += await deleteAttachments(message);
+  }
+
+  const { deletedCount: messages } = await Message.deleteMany({
+    $or: [{ sender: id }, { receiver: id }],
+  });
+
+  const { deletedCount: organizedEvents } = await Event.deleteMany({
+    organizer: id,
+  });
+
+  const { modifiedCount: eventParticipations } = await Event.updateMany(
+    { $or: [{ guests: id }, { attendees: id }] },
+    { $pull: { guests: id, attendees: id } }
+  );
+
+  const { deletedCount: tasks } = await Task.deleteMany({ performer: id });
+
+  const { modifiedCount: validatedTasks } = await Task.updateMany(
+    { validator: id },
+    { $unset: { validator: 1 } }
+  );
+
+  const { deletedCount: teachingDemands } = await TeachingDemand.deleteMany({
+    $or: [{ sender: id }, { receiver: id }],
+  });
+
+  const { modifiedCount: supervisedStudents } = await User.updateMany(
+    { supervisor: id },
+    { $unset: { supervisor: 1 } }
+  );
+
+  // The place of the student is given to the next one on the waitlist
+  const teachers = await User.find({ supervised: id }, null, {
+    disableMiddlewares: true,
+  }).select('_id');
+
+  const { modifiedCount: supervisors } = await User.updateMany(
+    { supervised: id },
+    { $pull: { supervised: id } }
+  );
+
+  const { modifiedCount: contacts } = await User.updateMany(
+    { contacts: id },
+    { $pull: { contacts: id } }
+  );
+
+  const { modifiedCount: invitations } = await User.updateMany(
+    { invitations: id },
+    { $pull: { invitations: id } }
+  );
+
+  const { modifiedCount: blockedBy } = await User.updateMany(
+    { blocked: id },
+    { $pull: { blocked: id } }
+  );
+
+  const { deletedCount: guardianships } = await Guardianship.deleteMany({
+    $or: [{ guardian: id }, { student: id }],
+  });
+
+  const { deletedCount: enrollmentCodes } = await EnrollmentCode.deleteMany({
+    teacher: id,
+  });
+
+  const dataExports = await deleteExports({ user: id });
+
+  const { deletedCount: sessions } = await Session.deleteMany({ user: id });
+
+  const { deletedCount: jobs } = await Job.deleteMany({ user: id });
+
+  const { deletedCount: apiTokens } = await ApiToken.deleteMany({ user: id });
+
+  const { deletedCount: magicLinks } = await MagicLink.deleteMany({ user: id });
+
+  const deletedUser = await User.findByIdAndDelete(id, {
+    disableMiddlewares: true,
+  });
+
+  let promotedStudents = 0;
+  for (const teacher of teachers) {
+    promotedStudents += (await promoteWaitlist(teacher._id)).length;
+  }
+
+  return {
+    user: deletedUser ? 1 : 0,
+    photo,
+    messages,
+    attachments,
+    organizedEvents,
+    eventParticipations,
+    tasks,
+    validatedTasks,
+    teachingDemands,
+    supervisedStudents,
+    supervisors,
+    contacts,
+    invitations,
+    blockedBy,
+    guardianships,
+    enrollmentCodes,
+    dataExports,
+    sessions,
+    jobs,
+    apiTokens,
+    magicLinks,
+    promotedStudents,
+  };
+};
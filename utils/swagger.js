@@ -45,6 +45,22 @@ const options = {
         name: 'Task',
         description: 'All operations related to the task resource.',
       },
+      {
+        name: 'Role',
+        description: 'All operations related to the role policies.',
+      },
+      {
+        name: 'Guardianship',
+        description: 'All operations related to the guardianship resource.',
+      },
+      {
+        name: 'Enrollment Code',
+        description: 'All operations related to the enrollment code resource.',
+      },
+      {
+        name: 'Audit Log',
+        description: 'All operations related to the security audit log.',
+      },
     ],
     components: {
       securitySchemes: {
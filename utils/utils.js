@@ -8,12 +8,17 @@ const {
   MONTHS,
   SOCKET_CONNECTIONS,
   FRONT_END_URL,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN,
+  IMPORT_FILE_MAX_SIZE,
 } = require('./globals');
 const Event = require('../models/eventModel');
+const Session = require('../models/sessionModel');
 
-const signToken = id =>
-  jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const signToken = (id, session) =>
+  jwt.sign({ id, session }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN / 1000,
+    jwtid: crypto.randomUUID(),
   });
 
 exports.catchAsync = fn => (req, res, next) => {
@@ -91,26 +96,72 @@ exports.sendErrorProd = (err, res) => {
     .json({ status: 'error', message: 'Something went wrong. Try Again !' });
 };
 
-exports.createSendToken = (user, statusCode, req, res, message = '') => {
-  const token = signToken(user._id);
-
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 60 * 600 * 1000
-    ),
-    httpOnly: true,
-    sameSite: 'none',
-    secure: req.secure || req.header('x-forwarded-proto') === 'https',
-    domain: req.get('origin'),
-  };
+exports.getCookieOptions = (req, expires) => ({
+  expires,
+  httpOnly: true,
+  sameSite: 'none',
+  secure: req.secure || req.header('x-forwarded-proto') === 'https',
+  domain: req.get('origin'),
+});
+
+exports.getRequestToken = req => {
+  const {
+    headers: { authorization },
+    cookies: { jwt: cookieToken },
+  } = req;
+
+  if (authorization && authorization.startsWith('Bearer'))
+    return authorization.split(' ')[1];
+
+  return cookieToken || '';
+};
+
+exports.createSession = async (user, req) => {
+  const [refreshToken, hashedRefreshToken] = exports.createLinkToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshToken: hashedRefreshToken,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: Date.now() + REFRESH_TOKEN_EXPIRES_IN,
+  });
+
+  return [session, refreshToken];
+};
+
+exports.sendTokens = (
+  user,
+  session,
+  refreshToken,
+  statusCode,
+  req,
+  res,
+  message = ''
+) => {
+  const token = signToken(user._id, session._id);
+
   const resObject = {
     status: 'success',
     token,
+    refreshToken,
   };
 
   if (message) resObject.message = message;
-  // send it as a cookie
-  res.cookie('jwt', token, cookieOptions);
+  // send them as cookies
+  res.cookie(
+    'jwt',
+    token,
+    exports.getCookieOptions(
+      req,
+      new Date(Date.now() + ACCESS_TOKEN_EXPIRES_IN)
+    )
+  );
+  res.cookie(
+    'refreshToken',
+    refreshToken,
+    exports.getCookieOptions(req, session.expiresAt)
+  );
 
   res.set('Access-Control-Allow-Credentials', true);
   res.set('Access-Control-Allow-Origin', FRONT_END_URL);
@@ -119,12 +170,87 @@ exports.createSendToken = (user, statusCode, req, res, message = '') => {
   res.status(statusCode).json(resObject);
 };
 
+exports.createSendToken = async (user, statusCode, req, res, message = '') => {
+  const [session, refreshToken] = await exports.createSession(user, req);
+
+  exports.sendTokens(
+    user,
+    session,
+    refreshToken,
+    statusCode,
+    req,
+    res,
+    message
+  );
+};
+
 exports.createLinkToken = () => {
   const token = crypto.randomBytes(32).toString('hex');
 
   return [token, crypto.createHash('sha256').update(token).digest('hex')];
 };
 
+// Approximate description of a device (browser and OS) based on its user agent
+exports.describeDevice = userAgent => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const [browser] = browsers.find(([, regex]) => regex.test(userAgent)) || [
+    'Unknown browser',
+  ];
+  const [system] = systems.find(([, regex]) => regex.test(userAgent)) || [
+    'unknown system',
+  ];
+
+  return `${browser} on ${system}`;
+};
+
+// Lowercase and without accents, so that "Zoé" is found when searching "zoe"
+exports.getSearchWords = text =>
+  (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word);
+
+exports.getSearchPrefixes = text => [
+  ...new Set(
+    exports
+      .getSearchWords(text)
+      .flatMap(word =>
+        Array.from({ length: word.length }, (_, i) => word.slice(0, i + 1))
+      )
+  ),
+];
+
+// The words are padded, so that their beginning and end weigh more in the similarity
+exports.getSearchTrigrams = text => [
+  ...new Set(
+    exports.getSearchWords(text).flatMap(word => {
+      const padded = `  ${word} `;
+
+      return Array.from({ length: padded.length - 2 }, (_, i) =>
+        padded.slice(i, i + 3)
+      );
+    })
+  ),
+];
+
 exports.uploadImage = multer({
   storage: multer.memoryStorage(),
   fileFilter: (req, file, callback) => {
@@ -140,6 +266,22 @@ exports.uploadImage = multer({
   },
 });
 
+exports.uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_FILE_MAX_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const { mimetype, originalname } = file;
+    if (
+      ['text/csv', 'application/vnd.ms-excel'].includes(mimetype) ||
+      originalname.toLowerCase().endsWith('.csv')
+    ) {
+      callback(null, true);
+      return;
+    }
+    callback(new AppError('Please upload a CSV file.', 400), false);
+  },
+});
+
 exports.uploadMessageFiles = multer({
   storage: multer.memoryStorage(),
 });
@@ -223,13 +365,20 @@ exports.isValidDate = str => {
   return true;
 };
 
-exports.validateGuestOrAttendees = (users, organizer, next, guest = true) => {
+// The blocked users are handled like non-existing ones, so that the block isn't revealed
+exports.validateGuestOrAttendees = (
+  users,
+  organizer,
+  next,
+  guest = true,
+  blockedIds = []
+) => {
   let nonExisting = false;
   let organizing = false;
   let admin = false;
 
   for (const user of users) {
-    if (!user || user.isDeleted) {
+    if (!user || user.isDeleted || blockedIds.includes(user.id.valueOf())) {
       nonExisting = true;
       break;
     }
@@ -239,7 +388,7 @@ exports.validateGuestOrAttendees = (users, organizer, next, guest = true) => {
       break;
     }
 
-    if (user.role === 'admin') {
+    if (['admin', 'guardian'].includes(user.role)) {
       admin = true;
       break;
     }